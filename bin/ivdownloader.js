@@ -0,0 +1,357 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const { artifactPath } = require('../lib/jobStore');
+const { ConfigError, loadConfig } = require('../lib/config');
+const { engineOptionsFromConfig, createEngine, parseViewerUrls } = require('../lib/engine');
+
+const USAGE = `Usage:
+  ivdownloader fetch --group <group_name> --pdf <pdf> [options]
+  ivdownloader fetch --url <viewer url> [options]
+  ivdownloader fetch --manifest <books.json> [options]
+
+Options:
+  --pages <range>            Page range, e.g. 1-50, 1-10,20-, all (default: all)
+  --last-page <n>            Last page of the book, if it cannot be detected
+  --format <format>          zip, pdf, cbz or epub (default: from -o, else zip)
+  -o, --output <file>        Output file (default: <group_name>.<format>)
+  --output-dir <dir>         Directory for output files without an explicit path
+  --adapter <name>           Viewer adapter (default: impress)
+  --selector <css>           Image selector (default: the adapter's)
+  --concurrency <n>          Pages fetched in parallel
+  --title, --author, --subject <text>
+                             Document metadata (PDF, CBZ, EPUB)
+  --reading-direction <dir>  ltr or rtl (CBZ, EPUB)
+  --language <tag>           Book language, e.g. ja (default: ja)
+  --placeholders             Insert a page for each missing page (PDF)
+  --image-format <format>    auto, png or jpeg
+  --jpeg-quality <n>         JPEG quality, 1-100
+  --max-width <px>           Scale pages down to this width
+  --trim                     Trim uniform margins
+  --merge-spreads            Join facing pages into one spread image
+  --skip-page-checks         Do not flag blank and duplicate pages
+  --config <file>            Config file (default: CONFIG_FILE, else config.json next to the server)
+  -q, --quiet                Only print errors
+  -h, --help                 Show this help
+
+A manifest is a JSON array of books (or { "books": [...] }). Each book takes the same fields as
+POST /api/jobs (group_name, pdf or url, page_range, output_format, title, chapters, settings, ...)
+plus an optional "output" path; the command-line options are the defaults for every book.
+
+Exit status: 0 if every page was downloaded, 1 if any book failed or has failed or flagged pages
+(a JSON report is printed to stdout), 2 for usage errors.`;
+
+const OPTIONS = {
+    group: { type: 'string' },
+    pdf: { type: 'string' },
+    url: { type: 'string' },
+    manifest: { type: 'string' },
+    pages: { type: 'string' },
+    'last-page': { type: 'string' },
+    format: { type: 'string' },
+    output: { type: 'string', short: 'o' },
+    'output-dir': { type: 'string' },
+    adapter: { type: 'string' },
+    selector: { type: 'string' },
+    concurrency: { type: 'string' },
+    title: { type: 'string' },
+    author: { type: 'string' },
+    subject: { type: 'string' },
+    'reading-direction': { type: 'string' },
+    language: { type: 'string' },
+    placeholders: { type: 'boolean' },
+    'image-format': { type: 'string' },
+    'jpeg-quality': { type: 'string' },
+    'max-width': { type: 'string' },
+    trim: { type: 'boolean' },
+    'merge-spreads': { type: 'boolean' },
+    'skip-page-checks': { type: 'boolean' },
+    config: { type: 'string' },
+    quiet: { type: 'boolean', short: 'q' },
+    help: { type: 'boolean', short: 'h' },
+};
+
+/**
+ * An error in the command line or manifest; reported with a pointer to --help and exit status 2.
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Turns the command-line options into request fields, the same ones POST /api/jobs takes.
+ * Options that were not given are left out, so manifest entries can set them.
+ * @param {object} values - The parsed options.
+ * @returns {object}
+ */
+const optionsToRequest = (values) => {
+    const request = {
+        group_name: values.group,
+        pdf: values.pdf,
+        url: values.url,
+        page_range: values.pages,
+        last_page: values['last-page'],
+        output_format: values.format,
+        output: values.output,
+        adapter: values.adapter,
+        selector: values.selector,
+        concurrency: values.concurrency,
+        title: values.title,
+        author: values.author,
+        subject: values.subject,
+        reading_direction: values['reading-direction'],
+        language: values.language,
+        placeholders: values.placeholders,
+        check_pages: values['skip-page-checks'] ? false : undefined,
+    };
+    const image = {
+        format: values['image-format'],
+        quality: values['jpeg-quality'],
+        maxWidth: values['max-width'],
+        trim: values.trim,
+        mergeSpreads: values['merge-spreads'],
+    };
+    if (Object.values(image).some(value => value !== undefined)) {
+        request.image = image;
+    }
+    for (const key of Object.keys(request)) {
+        if (request[key] === undefined) delete request[key];
+    }
+    return request;
+};
+
+/**
+ * Reads the books of a manifest file.
+ * @param {string} file - The manifest path.
+ * @returns {object[]}
+ */
+const readManifest = (file) => {
+    let manifest;
+    try {
+        manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new UsageError(`Cannot read manifest ${file}: ${error.message}`);
+    }
+    const books = Array.isArray(manifest) ? manifest : manifest && manifest.books;
+    if (!Array.isArray(books) || books.length === 0) {
+        throw new UsageError(`Manifest ${file} must be a non-empty array of books, or { "books": [...] }.`);
+    }
+    books.forEach((book, i) => {
+        if (typeof book !== 'object' || book === null || Array.isArray(book)) {
+            throw new UsageError(`Manifest entry ${i} must be an object.`);
+        }
+    });
+    return books;
+};
+
+/**
+ * Completes one book request: fills in the book from a viewer URL, the output format from the
+ * output file name and the defaults, then validates it like the API does.
+ * @param {object} engine - The download engine.
+ * @param {object} request - The book request.
+ * @param {string} [outputDir] - Directory for outputs without an explicit path.
+ * @returns {{params: object, pages: number[]|null, output: string}}
+ */
+const prepareBook = (engine, request, outputDir) => {
+    const book = { page_range: 'all', ...request };
+    if (book.url) {
+        const [parsed] = parseViewerUrls([book.url]);
+        if (!parsed || parsed.error) {
+            throw new UsageError(`${book.url}: ${parsed ? parsed.error : 'Not a URL.'}`);
+        }
+        Object.assign(book, { adapter: parsed.adapter, group_name: parsed.group_name, pdf: parsed.pdf });
+    }
+    if (!book.output_format) {
+        const extension = book.output ? path.extname(book.output).slice(1).toLowerCase() : '';
+        book.output_format = ['zip', 'pdf', 'cbz', 'epub'].includes(extension) ? extension : 'zip';
+    }
+
+    const result = engine.validateBatchParams(book);
+    if (result.error) {
+        const name = book.group_name && book.pdf ? `${book.group_name}/${book.pdf}: ` : '';
+        throw new UsageError(`${name}${result.error}`);
+    }
+    const output = book.output || path.join(outputDir || '.', `${book.group_name}.${book.output_format}`);
+    return { ...result, output };
+};
+
+/**
+ * Shows the progress of the running jobs on stderr: a redrawn bar for a single book on a
+ * terminal, one line per 10% otherwise. Failed and flagged pages are always shown.
+ * @param {object} engine - The download engine.
+ * @param {{quiet: boolean, single: boolean}} options
+ * @returns {{track: function(string, string): void, done: function(): void}}
+ */
+const createProgressReporter = (engine, { quiet, single }) => {
+    const tracked = new Map();
+    const interactive = single && process.stderr.isTTY;
+
+    const write = (line) => {
+        if (interactive) process.stderr.write('\r\x1b[K');
+        process.stderr.write(`${line}\n`);
+    };
+
+    engine.events.on('progress', (job, data) => {
+        const entry = tracked.get(job.id);
+        if (!entry) return;
+        if (data.type === 'page' && (data.status === 'failed' || data.status === 'flagged')) {
+            write(`${entry.label}: ${data.message}`);
+        } else if ((data.type === 'log' || data.type === 'page') && !quiet && !interactive) {
+            // Progress lines are enough when many books run at once.
+            if (single) write(`${entry.label}: ${data.message}`);
+        } else if (data.type === 'progress' && !quiet) {
+            if (interactive) {
+                const width = 30;
+                const filled = Math.round((data.value / 100) * width);
+                const eta = data.completed < data.total ? `, ${data.etaSeconds}s left` : '';
+                process.stderr.write(`\r\x1b[K${entry.label} [${'#'.repeat(filled)}${'.'.repeat(width - filled)}] ${data.value}% (${data.completed}/${data.total}${eta})`);
+            } else if (Math.floor(data.value / 10) > Math.floor(entry.lastValue / 10)) {
+                write(`${entry.label}: ${data.value}%`);
+            }
+            entry.lastValue = data.value;
+        }
+    });
+
+    return {
+        track: (jobId, label) => tracked.set(jobId, { label, lastValue: 0 }),
+        done: () => {
+            if (interactive && !quiet) process.stderr.write('\n');
+        },
+    };
+};
+
+/**
+ * Runs one book through the engine and copies its output to the requested path.
+ * @param {object} engine - The download engine.
+ * @param {object} reporter - The progress reporter.
+ * @param {{params: object, pages: number[]|null, output: string}} book - A prepared book.
+ * @returns {Promise<object>} The report entry of the book.
+ */
+const fetchBook = async (engine, reporter, { params, pages, output }) => {
+    const label = `${params.group_name}/${params.pdf}`;
+    // Listen before the job starts; one that fails right away would otherwise finish unnoticed.
+    const job = await engine.createQueuedJob({ params, pages });
+    reporter.track(job.id, label);
+    const waiting = engine.waitForJob(job.id);
+    engine.enqueueJob(job.id);
+    const finished = await waiting;
+
+    const entry = {
+        group_name: params.group_name,
+        pdf: params.pdf,
+        jobId: finished.id,
+        status: finished.status,
+        output: null,
+        error: finished.error,
+        failedPages: finished.failedPages,
+        flaggedPages: finished.flaggedPages || [],
+    };
+    if (finished.status === 'done') {
+        await fs.promises.mkdir(path.dirname(path.resolve(output)), { recursive: true });
+        await fs.promises.copyFile(artifactPath(finished, params.output_format), output);
+        entry.output = output;
+    }
+    return entry;
+};
+
+/**
+ * Runs the `fetch` command.
+ * @param {object} values - The parsed options.
+ * @returns {Promise<number>} The exit status.
+ */
+const fetchCommand = async (values) => {
+    const defaults = optionsToRequest(values);
+    let requests;
+    if (values.manifest) {
+        if (values.output) {
+            throw new UsageError('-o/--output names a single file; use --output-dir or "output" in the manifest.');
+        }
+        requests = readManifest(values.manifest).map(book => ({ ...defaults, ...book }));
+    } else {
+        if (!values.url && (!values.group || !values.pdf)) {
+            throw new UsageError('Give --group and --pdf, --url, or --manifest.');
+        }
+        requests = [defaults];
+    }
+
+    let config;
+    try {
+        config = loadConfig({ file: values.config });
+    } catch (error) {
+        if (error instanceof ConfigError) throw new UsageError(error.message);
+        throw error;
+    }
+
+    // Jobs and history of the CLI stay out of the server's: they live in a directory of their own
+    // that is removed at the end, once every output file has been copied out. The page cache is shared.
+    const engineOptions = engineOptionsFromConfig(config);
+    await fs.promises.mkdir(engineOptions.dataDir, { recursive: true });
+    const dataDir = await fs.promises.mkdtemp(path.join(engineOptions.dataDir, 'cli-'));
+    const engine = createEngine({ ...engineOptions, dataDir, cacheDir: path.join(engineOptions.dataDir, 'cache') });
+    try {
+        // Validate every book before fetching any, so a typo in the manifest fails fast.
+        const books = requests.map(request => prepareBook(engine, request, values['output-dir']));
+        const outputs = new Set();
+        for (const { output } of books) {
+            if (outputs.has(path.resolve(output))) {
+                throw new UsageError(`Two books would be saved as ${output}; give them distinct "output" paths.`);
+            }
+            outputs.add(path.resolve(output));
+        }
+        const reporter = createProgressReporter(engine, { quiet: Boolean(values.quiet), single: books.length === 1 });
+        const results = await Promise.all(books.map(book => fetchBook(engine, reporter, book)));
+        reporter.done();
+
+        const ok = results.every(result => result.status === 'done' && result.failedPages.length === 0 && result.flaggedPages.length === 0);
+        if (!ok) {
+            process.stdout.write(`${JSON.stringify({ ok, books: results }, null, 2)}\n`);
+            return 1;
+        }
+        if (!values.quiet) {
+            results.forEach(result => process.stderr.write(`Saved ${result.output}\n`));
+        }
+        return 0;
+    } finally {
+        await engine.close();
+        await fs.promises.rm(dataDir, { recursive: true, force: true });
+    }
+};
+
+const main = async (argv) => {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    const { values, positionals } = parsed;
+    if (values.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return 0;
+    }
+    const [command] = positionals;
+    if (command !== 'fetch' || positionals.length > 1) {
+        throw new UsageError(command ? `Unknown command '${positionals.join(' ')}'.` : 'Missing command.');
+    }
+    return fetchCommand(values);
+};
+
+main(process.argv.slice(2))
+    .then(status => {
+        process.exitCode = status;
+    })
+    .catch(error => {
+        if (error instanceof UsageError) {
+            process.stderr.write(`Error: ${error.message}\nRun 'ivdownloader --help' for usage.\n`);
+            process.exitCode = 2;
+            return;
+        }
+        console.error('Error during fetch:', error);
+        process.stdout.write(`${JSON.stringify({ ok: false, error: error.message }, null, 2)}\n`);
+        process.exitCode = 1;
+    });
@@ -0,0 +1,8 @@
+const { createSlickCarouselAdapter } = require('./slickCarousel');
+
+// The Impress online book viewer.
+module.exports = createSlickCarouselAdapter({
+    name: 'impress',
+    description: 'Impress Viewer (viewer.impress.co.jp)',
+    viewerUrl: () => 'https://viewer.impress.co.jp/viewer.html',
+});
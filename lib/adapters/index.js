@@ -0,0 +1,53 @@
+// Registry of viewer-site adapters. See slickCarousel.js for what an adapter provides.
+
+const adapters = new Map();
+
+const DEFAULT_ADAPTER = 'impress';
+
+/**
+ * Adds an adapter to the registry, replacing any adapter with the same name.
+ * @param {object} adapter - The adapter.
+ */
+const registerAdapter = (adapter) => {
+    adapters.set(adapter.name, adapter);
+};
+
+/**
+ * Looks up an adapter by name.
+ * @param {string} [name] - The adapter name; the default adapter if omitted.
+ * @returns {object|null} The adapter, or null if there is no adapter with that name.
+ */
+const getAdapter = (name = DEFAULT_ADAPTER) => adapters.get(name) || null;
+
+/**
+ * Lists the registered adapters for display.
+ * @returns {Array<{name: string, description: string, defaultSelector: string}>}
+ */
+const listAdapters = () => Array.from(adapters.values(), ({ name, description, defaultSelector }) => ({
+    name,
+    description,
+    defaultSelector,
+}));
+
+/**
+ * Finds the adapter whose viewer a URL belongs to and reads the book and page from it.
+ * @param {string} url - A viewer URL, e.g. copied from the browser's address bar.
+ * @returns {{adapter: object, group_name: string, pdf: string, page: number|null}|null}
+ *   The match, or null if no adapter recognizes the URL.
+ */
+const parseViewerUrl = (url) => {
+    for (const adapter of adapters.values()) {
+        const parsed = adapter.parseUrl(url);
+        if (parsed) return { adapter, ...parsed };
+    }
+    return null;
+};
+
+registerAdapter(require('./impress'));
+// The local adapter makes the server's browser load whatever LOCAL_VIEWER_URL points at, such as
+// the mock viewer of the tests; it only exists when that is set.
+if (process.env.LOCAL_VIEWER_URL) {
+    registerAdapter(require('./local'));
+}
+
+module.exports = { DEFAULT_ADAPTER, registerAdapter, getAdapter, listAdapters, parseViewerUrl };
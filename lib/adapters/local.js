@@ -0,0 +1,10 @@
+const { createSlickCarouselAdapter } = require('./slickCarousel');
+
+// A viewer with the Impress markup served from another address, such as a local mock
+// viewer used for testing. Set LOCAL_VIEWER_URL to the viewer page to use; without it the
+// adapter is not registered (see index.js).
+module.exports = createSlickCarouselAdapter({
+    name: 'local',
+    description: 'Impress-style viewer at LOCAL_VIEWER_URL',
+    viewerUrl: () => process.env.LOCAL_VIEWER_URL,
+});
@@ -0,0 +1,94 @@
+const { detectBookInfo } = require('../bookInfo');
+
+// Book identifiers end up in a navigation URL and in file names, so only allow plain IDs.
+const BOOK_ID_PATTERN = /^[A-Za-z0-9._-]{1,128}$/;
+
+/**
+ * Picks the image for a page from the images shown at once. A single image is the page itself;
+ * on a spread, an even page number corresponds to the left image (index 0)
+ * and an odd page number to the right image (index 1).
+ * @param {string[]} sources - The data URIs matched by the selector, in document order.
+ * @param {number} pageNumber - The requested page number.
+ * @returns {string|null} The data URI for the page, or null if the image count is unexpected.
+ */
+const pickEvenLeft = (sources, pageNumber) => {
+    if (sources.length === 1) return sources[0];
+    if (sources.length === 2) return pageNumber % 2 === 0 ? sources[0] : sources[1];
+    return null;
+};
+
+/**
+ * Checks the identifiers of a book.
+ * @param {{group_name: string, pdf: string}} book - The book identifiers.
+ * @returns {string|null} An error message, or null if the identifiers are valid.
+ */
+const validateBookIds = ({ group_name, pdf }) => {
+    if (typeof group_name !== 'string' || !BOOK_ID_PATTERN.test(group_name)) {
+        return `Invalid group_name '${group_name}': use 1-128 letters, digits, '.', '_' or '-'.`;
+    }
+    if (typeof pdf !== 'string' || !BOOK_ID_PATTERN.test(pdf)) {
+        return `Invalid pdf '${pdf}': use 1-128 letters, digits, '.', '_' or '-'.`;
+    }
+    return null;
+};
+
+/**
+ * Creates an adapter for a viewer built on the slick carousel, which shows the current page
+ * (or spread) as data-URI images inside `div.slick-current`, and takes the book and page from
+ * the `group_name`, `pdf` and `page` query parameters.
+ *
+ * An adapter tells the downloader everything that is specific to one viewer site:
+ *   - name: the identifier used in requests (`adapter` parameter),
+ *   - defaultSelector: the CSS selector for the page images,
+ *   - buildUrl(book, page): the viewer URL for a page of a book,
+ *   - parseUrl(url): the book and page of a viewer URL, or null if the URL is not for this viewer,
+ *   - validateBook(book): an error message if the book identifiers are not acceptable,
+ *   - pickImage(sources, page): which of the matched images belongs to the page,
+ *   - detectBookInfo(puppeteerPage, url, options): the page count and metadata of a book; options are
+ *     the timeout, selectorTimeout and waitUntil of the navigation.
+ *
+ * @param {object} options
+ * @param {string} options.name - The adapter name.
+ * @param {string} options.description - A short description for the UI.
+ * @param {function(): string} options.viewerUrl - Returns the address of the viewer page.
+ * @param {string} [options.defaultSelector] - Overrides the default image selector.
+ * @param {function(string[], number): string|null} [options.pickImage] - Overrides the spread rule.
+ * @returns {object} The adapter.
+ */
+const createSlickCarouselAdapter = ({
+    name,
+    description,
+    viewerUrl,
+    defaultSelector = 'div.slick-current img[src^="data:image"]',
+    pickImage = pickEvenLeft,
+}) => ({
+    name,
+    description,
+    defaultSelector,
+    buildUrl: ({ group_name, pdf }, page) => {
+        const url = new URL(viewerUrl());
+        url.search = new URLSearchParams({ group_name, pdf, page: String(page) }).toString();
+        return url.toString();
+    },
+    parseUrl: (urlString) => {
+        let url;
+        try {
+            url = new URL(urlString);
+        } catch (error) {
+            return null;
+        }
+        const viewer = new URL(viewerUrl());
+        if (url.origin !== viewer.origin || url.pathname !== viewer.pathname) return null;
+
+        const group_name = url.searchParams.get('group_name');
+        const pdf = url.searchParams.get('pdf');
+        if (!group_name || !pdf) return null;
+        const page = Number(url.searchParams.get('page'));
+        return { group_name, pdf, page: Number.isInteger(page) && page > 0 ? page : null };
+    },
+    validateBook: validateBookIds,
+    pickImage,
+    detectBookInfo,
+});
+
+module.exports = { createSlickCarouselAdapter, pickEvenLeft, validateBookIds };
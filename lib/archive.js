@@ -0,0 +1,50 @@
+const fs = require('fs');
+const archiver = require('archiver');
+
+/**
+ * Writes a ZIP file. Entries given by path are streamed from disk one at a time,
+ * so large books never have to be held in memory.
+ * @param {string} outputPath - The file to write.
+ * @param {Array<{name: string, path?: string, content?: string|Buffer, store?: boolean}>} entries -
+ *   The archive entries, in order. `store` adds the entry uncompressed.
+ * @param {object} [options]
+ * @param {number} [options.compressionLevel=9] - The zlib level of compressed entries, 0-9.
+ * @returns {Promise<void>}
+ */
+const writeZip = async (outputPath, entries, { compressionLevel = 9 } = {}) => {
+    // Given the stats, archiver queues a file right away instead of after its own stat,
+    // so a file never ends up behind an entry appended after it.
+    const stats = await Promise.all(entries.map(entry => (entry.path ? fs.promises.stat(entry.path) : null)));
+    const output = fs.createWriteStream(outputPath);
+    const archive = archiver('zip', { zlib: { level: compressionLevel } });
+    const written = new Promise((resolve, reject) => {
+        output.on('close', resolve);
+        output.on('error', reject);
+        archive.on('error', reject);
+    });
+    archive.pipe(output);
+    entries.forEach((entry, index) => {
+        const options = { name: entry.name, store: Boolean(entry.store) };
+        if (entry.path) {
+            archive.file(entry.path, { ...options, stats: stats[index] });
+        } else {
+            archive.append(entry.content, options);
+        }
+    });
+    await archive.finalize();
+    await written;
+};
+
+/**
+ * Escapes text for use in XML content and attribute values.
+ * @param {*} value - The value to escape.
+ * @returns {string}
+ */
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+module.exports = { writeZip, escapeXml };
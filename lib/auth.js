@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+
+const REALM = 'ivdownloader';
+
+/**
+ * Hashes a token, so tokens of any length can be compared in constant time.
+ * @param {string} token
+ * @returns {Buffer}
+ */
+const digest = (token) => crypto.createHash('sha256').update(String(token)).digest();
+
+/**
+ * Creates the authentication middleware for the configured users (see `auth.users` in lib/config.js).
+ *
+ * A request authenticates with a user's token, either as `Authorization: Bearer <token>` or as HTTP
+ * basic auth with the user's name and token as the password; the latter lets the web UI log in
+ * through the browser's own prompt. The user is set as `req.user` ({ name, admin }). Without any
+ * configured users nothing is checked and `req.user` is null.
+ *
+ * @param {object} options
+ * @param {{name: string, token: string, admin: boolean}[]} options.users
+ * @returns {object} { enabled, middleware }
+ */
+const createAuth = ({ users }) => {
+    const accounts = users.map(({ name, token, admin }) => ({ user: { name, admin }, tokenDigest: digest(token) }));
+    const enabled = accounts.length > 0;
+
+    /**
+     * Finds the account a token belongs to. Every account is compared, so the time taken does not
+     * depend on which one matches.
+     * @param {string} token
+     * @returns {object|null}
+     */
+    const findAccount = (token) => {
+        const tokenDigest = digest(token);
+        let found = null;
+        for (const account of accounts) {
+            if (crypto.timingSafeEqual(account.tokenDigest, tokenDigest)) found = account;
+        }
+        return found;
+    };
+
+    /**
+     * Reads the credentials of a request.
+     * @param {object} req
+     * @returns {object|null} The account, or null if the credentials are missing or wrong.
+     */
+    const authenticate = (req) => {
+        const [scheme, credentials = ''] = (req.get('Authorization') || '').trim().split(/\s+/);
+        if (/^bearer$/i.test(scheme)) {
+            return findAccount(credentials);
+        }
+        if (/^basic$/i.test(scheme)) {
+            const decoded = Buffer.from(credentials, 'base64').toString('utf8');
+            const separator = decoded.indexOf(':');
+            if (separator < 0) return null;
+            const account = findAccount(decoded.slice(separator + 1));
+            return account && account.user.name === decoded.slice(0, separator) ? account : null;
+        }
+        return null;
+    };
+
+    const middleware = (req, res, next) => {
+        if (!enabled) {
+            req.user = null;
+            return next();
+        }
+        const account = authenticate(req);
+        if (!account) {
+            res.set('WWW-Authenticate', `Basic realm="${REALM}", charset="UTF-8"`);
+            const error = req.get('Authorization')
+                ? 'Invalid credentials.'
+                : 'Authentication required. Send a token as "Authorization: Bearer <token>" or log in with your user name and token.';
+            return res.status(401).json({ error });
+        }
+        req.user = account.user;
+        next();
+    };
+
+    return { enabled, middleware };
+};
+
+module.exports = { createAuth };
@@ -0,0 +1,66 @@
+/**
+ * Opens a viewer page and reads the book's page count plus whatever metadata the viewer exposes.
+ * Only the DOM of a slick-carousel viewer is relied on, so this works just as well against a
+ * local HTML fixture that mimics the viewer.
+ *
+ * The page count is taken from the first source that has one:
+ *   1. a "current / total" page counter,
+ *   2. the `max` of a page slider (`input[type="range"]`),
+ *   3. the carousel slides themselves (one page per image; spreads hold two).
+ *
+ * @param {object} puppeteerPage - The Puppeteer page object.
+ * @param {string} url - The viewer URL to open, usually for the first page of the book.
+ * @param {object} [options]
+ * @param {number} [options.timeout=30000] - Navigation timeout in milliseconds.
+ * @param {number} [options.selectorTimeout=timeout] - How long to wait for the carousel, in milliseconds.
+ * @param {string} [options.waitUntil='networkidle0'] - When navigation counts as finished (see `page.goto`).
+ * @returns {Promise<{totalPages: number, title: string|null, spread: boolean, method: string}>}
+ * @throws {Error} If no page count can be found.
+ */
+const detectBookInfo = async (puppeteerPage, url, { timeout = 30000, selectorTimeout = timeout, waitUntil = 'networkidle0' } = {}) => {
+    await puppeteerPage.goto(url, { waitUntil, timeout });
+    try {
+        // The carousel is built by script after load; give it a moment to appear.
+        await puppeteerPage.waitForSelector('.slick-slide, input[type="range"]', { timeout: selectorTimeout });
+    } catch (error) {
+        if (error.name !== 'TimeoutError') throw error;
+        // Fall through: a page counter may still be there.
+    }
+
+    const info = await puppeteerPage.evaluate(() => {
+        const slides = Array.from(document.querySelectorAll('.slick-slide:not(.slick-cloned)'));
+        const imagesPerSlide = slides.map(slide => slide.querySelectorAll('img').length);
+        const spread = imagesPerSlide.some(count => count >= 2);
+
+        let totalPages = null;
+        let method = null;
+
+        const counter = Array.from(document.querySelectorAll('[class*="page"], [id*="page"]'))
+            .map(element => element.textContent.trim())
+            .find(text => /^\d+\s*\/\s*\d+$/.test(text));
+        const slider = document.querySelector('input[type="range"][max]');
+
+        if (counter) {
+            totalPages = Number(counter.split('/')[1]);
+            method = 'counter';
+        } else if (slider && Number(slider.max) > 0) {
+            totalPages = Number(slider.max);
+            method = 'slider';
+        } else if (slides.length > 0) {
+            totalPages = imagesPerSlide.reduce((sum, count) => sum + Math.max(count, 1), 0);
+            method = 'slides';
+        }
+
+        const ogTitle = document.querySelector('meta[property="og:title"]');
+        const title = ((ogTitle && ogTitle.content) || document.title || '').trim();
+
+        return { totalPages, title: title || null, spread, method };
+    });
+
+    if (!info.totalPages) {
+        throw new Error('Could not find the page count in the viewer.');
+    }
+    return info;
+};
+
+module.exports = { detectBookInfo };
@@ -0,0 +1,130 @@
+const puppeteer = require('puppeteer');
+
+/**
+ * Creates a pool of Puppeteer pages backed by one long-lived, shared browser.
+ * The browser is launched on first use and relaunched if it crashes or disconnects.
+ * At most `maxPages` pages are open at once; callers beyond that wait for a page to be released.
+ * @param {object} [options]
+ * @param {number} [options.maxPages=4] - The maximum number of pages open at the same time.
+ * @param {object} [options.launchOptions={}] - Options passed to `puppeteer.launch`.
+ * @param {object} [options.pageOptions={}] - Applied to every new page.
+ * @param {string} [options.pageOptions.userAgent] - The user agent to send.
+ * @param {{width: number, height: number}} [options.pageOptions.viewport] - The viewport size.
+ * @param {{username: string, password: string}} [options.pageOptions.credentials] - Answers the proxy's
+ *   authentication challenge.
+ * @returns {{acquirePage: function(): Promise<object>, releasePage: function(object): void, close: function(): Promise<void>}}
+ */
+const createBrowserPool = ({ maxPages = 4, launchOptions = {}, pageOptions = {} } = {}) => {
+    let browserPromise = null;
+    let openPages = 0;
+    const idlePages = [];
+    const waiters = [];
+
+    // Starts a launch that concurrent callers share; it is forgotten once the browser is gone, or
+    // if it fails, so the next caller starts a new one.
+    const launchBrowser = () => {
+        const launching = puppeteer.launch(launchOptions).then((browser) => {
+            browser.on('disconnected', () => {
+                console.warn('Shared browser disconnected; it will be relaunched on next use.');
+                // Idle pages belonged to the dead browser. Pages still in use are dropped on release.
+                openPages -= idlePages.length;
+                idlePages.length = 0;
+                if (browserPromise === launching) browserPromise = null;
+            });
+            return browser;
+        });
+        launching.catch(() => {
+            if (browserPromise === launching) browserPromise = null;
+        });
+        browserPromise = launching;
+        return launching;
+    };
+
+    const getBrowser = async () => {
+        const pending = browserPromise || launchBrowser();
+        const browser = await pending;
+        if (browser.connected) return browser;
+        // Disconnected before its event was handled; the first caller to notice relaunches.
+        if (browserPromise === pending) browserPromise = null;
+        return getBrowser();
+    };
+
+    const openPage = async () => {
+        const browser = await getBrowser();
+        const page = await browser.newPage();
+        try {
+            if (pageOptions.userAgent) await page.setUserAgent(pageOptions.userAgent);
+            if (pageOptions.viewport) await page.setViewport(pageOptions.viewport);
+            if (pageOptions.credentials) await page.authenticate(pageOptions.credentials);
+        } catch (error) {
+            await page.close().catch(() => {});
+            throw error;
+        }
+        return page;
+    };
+
+    const isUsable = (page) => !page.isClosed() && page.browser().connected;
+
+    const wakeNextWaiter = () => {
+        const next = waiters.shift();
+        if (next) next();
+    };
+
+    /**
+     * Takes a page from the pool, opening a new one if the pool is below its limit.
+     * @returns {Promise<object>} A Puppeteer page. Hand it back with `releasePage` when done.
+     */
+    const acquirePage = async () => {
+        while (idlePages.length > 0) {
+            const page = idlePages.pop();
+            if (isUsable(page)) return page;
+            openPages--;
+        }
+
+        if (openPages < maxPages) {
+            openPages++;
+            try {
+                return await openPage();
+            } catch (error) {
+                openPages--;
+                wakeNextWaiter();
+                throw error;
+            }
+        }
+
+        await new Promise(resolve => waiters.push(resolve));
+        return acquirePage();
+    };
+
+    /**
+     * Returns a page to the pool. Closed pages (e.g. from a cancelled job) are discarded.
+     * @param {object} page - A page obtained from `acquirePage`.
+     */
+    const releasePage = (page) => {
+        if (isUsable(page)) {
+            idlePages.push(page);
+        } else {
+            openPages--;
+        }
+        wakeNextWaiter();
+    };
+
+    /**
+     * Closes the shared browser, if it is running.
+     * @returns {Promise<void>}
+     */
+    const close = async () => {
+        if (!browserPromise) return;
+        const browser = await browserPromise.catch(() => null);
+        browserPromise = null;
+        openPages = 0;
+        idlePages.length = 0;
+        if (browser && browser.connected) {
+            await browser.close();
+        }
+    };
+
+    return { acquirePage, releasePage, close };
+};
+
+module.exports = { createBrowserPool };
@@ -0,0 +1,77 @@
+const fs = require('fs/promises');
+const sharp = require('sharp');
+const { writeZip, escapeXml } = require('./archive');
+
+/**
+ * Builds the ComicInfo.xml describing a CBZ archive.
+ * @param {object} options
+ * @param {Array<{width: number, height: number, size: number, bookmark?: string}>} options.pages - One entry per image, in order.
+ * @param {{title?: string, author?: string, subject?: string, language?: string}} options.metadata - Book metadata.
+ * @param {string} options.readingDirection - 'ltr' or 'rtl'.
+ * @returns {string}
+ */
+const buildComicInfo = ({ pages, metadata, readingDirection }) => {
+    const lines = [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<ComicInfo xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">',
+    ];
+    if (metadata.title) lines.push(`  <Title>${escapeXml(metadata.title)}</Title>`);
+    if (metadata.author) lines.push(`  <Writer>${escapeXml(metadata.author)}</Writer>`);
+    if (metadata.subject) lines.push(`  <Summary>${escapeXml(metadata.subject)}</Summary>`);
+    lines.push(`  <PageCount>${pages.length}</PageCount>`);
+    if (metadata.language) lines.push(`  <LanguageISO>${escapeXml(metadata.language)}</LanguageISO>`);
+    // ComicInfo has no plain "right to left" flag; readers take it from the Manga field.
+    lines.push(`  <Manga>${readingDirection === 'rtl' ? 'YesAndRightToLeft' : 'No'}</Manga>`);
+    lines.push('  <Pages>');
+    pages.forEach((page, index) => {
+        const attributes = [`Image="${index}"`];
+        if (index === 0) attributes.push('Type="FrontCover"');
+        // A page wider than it is tall is a two-page spread.
+        if (page.width > page.height) attributes.push('DoublePage="true"');
+        attributes.push(`ImageSize="${page.size}"`, `ImageWidth="${page.width}"`, `ImageHeight="${page.height}"`);
+        if (page.bookmark) attributes.push(`Bookmark="${escapeXml(page.bookmark)}"`);
+        lines.push(`    <Page ${attributes.join(' ')} />`);
+    });
+    lines.push('  </Pages>');
+    lines.push('</ComicInfo>');
+    return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Builds a CBZ archive: the page images, named so they sort in page order, plus a ComicInfo.xml.
+ * @param {object} options
+ * @param {string} options.outputPath - The file to write.
+ * @param {Array<{page: number, lastPage?: number, path: string, extension: string}>} options.pages - The page
+ *   images, in order; an image with a `lastPage` is a spread of the pages from `page` to `lastPage`.
+ * @param {{title?: string, author?: string, subject?: string, language?: string}} [options.metadata] - Book metadata.
+ * @param {Array<{title: string, start: number, end?: number}>} [options.chapters] - Chapters, added as page bookmarks.
+ * @param {string} [options.readingDirection='ltr'] - 'ltr' or 'rtl'.
+ * @param {number} [options.compressionLevel=9] - The zlib level of the archive, 0-9.
+ * @returns {Promise<void>}
+ */
+const buildCbz = async ({ outputPath, pages, metadata = {}, chapters = [], readingDirection = 'ltr', compressionLevel = 9 }) => {
+    const digits = String(Math.max(...pages.map(({ page, lastPage = page }) => lastPage))).length;
+    const entries = [];
+    const pageInfo = [];
+
+    const pad = page => String(page).padStart(digits, '0');
+
+    for (const { page, lastPage = page, path, extension } of pages) {
+        const buffer = await fs.readFile(path);
+        const { width = 0, height = 0 } = await sharp(buffer).metadata().catch(() => ({}));
+        pageInfo.push({ page, lastPage, width, height, size: buffer.length });
+        const baseName = lastPage === page ? `page_${pad(page)}` : `page_${pad(page)}-${pad(lastPage)}`;
+        entries.push({ name: `${baseName}.${extension}`, path });
+    }
+
+    // Bookmark the first page of each chapter that made it into the archive.
+    for (const { title, start, end } of chapters) {
+        const first = pageInfo.find(({ page, lastPage }) => lastPage >= start && (end === undefined || page <= end));
+        if (first && !first.bookmark) first.bookmark = title;
+    }
+
+    entries.push({ name: 'ComicInfo.xml', content: buildComicInfo({ pages: pageInfo, metadata, readingDirection }) });
+    await writeZip(outputPath, entries, { compressionLevel });
+};
+
+module.exports = { buildCbz, buildComicInfo };
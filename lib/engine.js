@@ -0,0 +1,1305 @@
+const path = require('path');
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const { setTimeout: sleep } = require('timers/promises');
+
+const {
+    setJobsDir,
+    createJob,
+    saveJob,
+    loadJob,
+    deleteJob,
+    listJobs,
+    savePage,
+    pagePath,
+    getMissingPages,
+    prepareProcessedDir,
+    artifactPath,
+} = require('./jobStore');
+const { createBrowserPool } = require('./browserPool');
+const { createRateLimiter } = require('./rateLimiter');
+const {
+    FAILURE_CLASSES,
+    PageFetchError,
+    classifyError,
+    normalizeRetryPolicy,
+    withRetry,
+} = require('./retry');
+const { PageRangeError, parsePageRange, isOpenEnded } = require('./pageRange');
+const { getAdapter, listAdapters, parseViewerUrl } = require('./adapters');
+const { buildPdf, normalizeChapters } = require('./pdfOutput');
+const { buildCbz } = require('./cbzOutput');
+const { buildEpub } = require('./epubOutput');
+const { writeZip } = require('./archive');
+const { normalizeImageOptions, processPages } = require('./imageProcessing');
+const { hashPage, isDuplicate } = require('./pageCheck');
+const { createPageCache } = require('./pageCache');
+const { findImageCandidates, describeSources } = require('./selectorDiscovery');
+const { createHistory } = require('./history');
+const { DEFAULT_JOB_SETTINGS, getJobSettings, normalizeSettingsOverrides } = require('./config');
+
+// The download engine: fetching pages through a shared browser, the job queue and assembling the
+// output files. The web server and the command-line interface both drive downloads through it.
+
+// The selector preview shows the matched images at up to this many pixels.
+const PREVIEW_SIZE = 480;
+
+// Supported output formats and their MIME types.
+const OUTPUT_FORMATS = {
+    zip: 'application/zip',
+    pdf: 'application/pdf',
+    cbz: 'application/vnd.comicbook+zip',
+    epub: 'application/epub+zip',
+};
+
+/**
+ * Opens a viewer page in a Puppeteer page.
+ * @param {object} puppeteerPage - The Puppeteer page object.
+ * @param {string} url - The URL to navigate to.
+ * @param {{navigationTimeoutMs: number, waitUntil: string}} settings - The job settings.
+ * @throws {PageFetchError} NAVIGATION_TIMEOUT if the page does not load in time.
+ */
+const openViewerPage = async (puppeteerPage, url, settings) => {
+    try {
+        // 'networkidle0' (the default) is a safer bet to ensure all dynamic content,
+        // including the Base64 image source, is fully loaded.
+        await puppeteerPage.goto(url, { waitUntil: settings.waitUntil, timeout: settings.navigationTimeoutMs });
+    } catch (error) {
+        if (error.name === 'TimeoutError') {
+            throw new PageFetchError(FAILURE_CLASSES.NAVIGATION_TIMEOUT, 'Timeout waiting for page to load.');
+        }
+        throw error;
+    }
+};
+
+/**
+ * Opens a viewer page and returns the data URIs of every image the selector matches.
+ * @param {object} puppeteerPage - The Puppeteer page object.
+ * @param {string} url - The URL to navigate to.
+ * @param {string} selector - The CSS selector for the image.
+ * @param {{navigationTimeoutMs: number, selectorTimeoutMs: number, waitUntil: string}} settings - The job settings.
+ * @returns {Promise<string[]>} The data URIs, in document order.
+ * @throws {PageFetchError} If the page does not load or the selector never matches.
+ */
+const getImageSources = async (puppeteerPage, url, selector, settings) => {
+    await openViewerPage(puppeteerPage, url, settings);
+
+    try {
+        await puppeteerPage.waitForSelector(selector, { timeout: settings.selectorTimeoutMs });
+    } catch (error) {
+        if (error.name === 'TimeoutError') {
+            throw new PageFetchError(FAILURE_CLASSES.SELECTOR_NOT_FOUND, `Timeout waiting for image selector '${selector}'.`);
+        }
+        throw error;
+    }
+
+    return puppeteerPage.evaluate((sel) => {
+        const imageElements = document.querySelectorAll(sel);
+        // Filter for elements that are actual images with a data URI source.
+        return Array.from(imageElements)
+            .map(img => img.src)
+            .filter(src => src && src.startsWith('data:image'));
+    }, selector);
+};
+
+/**
+ * Fetches the Base64 source of an image from a given URL using Puppeteer, handling spread view.
+ * @param {object} puppeteerPage - The Puppeteer page object.
+ * @param {object} adapter - The viewer adapter; decides which image belongs to the page.
+ * @param {string} url - The URL to navigate to.
+ * @param {string} selector - The CSS selector for the image.
+ * @param {number} pageNumber - The requested page number.
+ * @param {{navigationTimeoutMs: number, selectorTimeoutMs: number, waitUntil: string}} settings - The job settings.
+ * @returns {Promise<string>} The Base64 image string.
+ * @throws {PageFetchError} If the page does not load, the selector never matches, or the image count is wrong.
+ */
+const getImageBase64 = async (puppeteerPage, adapter, url, selector, pageNumber, settings) => {
+    const dataImageSources = await getImageSources(puppeteerPage, url, selector, settings);
+
+    // The adapter handles single page view and spread view; anything else is an error.
+    const source = adapter.pickImage(dataImageSources, pageNumber);
+    if (!source) {
+        throw new PageFetchError(
+            FAILURE_CLASSES.IMAGE_COUNT,
+            `Found ${dataImageSources.length} images for selector '${selector}' on page ${pageNumber}, but expected 1 or 2.`
+        );
+    }
+    return source;
+};
+
+/**
+ * Returns the page cache key of a page.
+ * @param {object} adapter - The viewer adapter.
+ * @param {{group_name: string, pdf: string}} book - The book.
+ * @param {string} selector - The CSS selector for the image.
+ * @param {number} pageNumber - The page number.
+ * @returns {object}
+ */
+const getCacheKey = (adapter, { group_name, pdf }, selector, pageNumber) => ({
+    adapter: adapter.name,
+    group_name,
+    pdf,
+    page: pageNumber,
+    selector,
+});
+
+/**
+ * Checks a fetched page for the signs of a silent mis-fetch: a near-blank loading frame, or the
+ * same image as an adjacent page already on disk (a carousel that had not moved on yet). Either of
+ * the two may be the wrong one, so runJob fetches the neighbour again too.
+ * @param {object} job - The job record.
+ * @param {number} pageNumber - The page number.
+ * @param {{data: string}} imageInfo - The parsed image.
+ * @returns {Promise<{sha256: string, dhash: string, blank: boolean}>} The page hashes.
+ * @throws {PageFetchError} BLANK_PAGE or DUPLICATE_PAGE (both retryable), or INVALID_DATA_URI if
+ *   the image cannot be decoded.
+ */
+const checkFetchedPage = async (job, pageNumber, imageInfo) => {
+    let hash;
+    try {
+        hash = await hashPage(Buffer.from(imageInfo.data, 'base64'));
+    } catch (error) {
+        throw new PageFetchError(FAILURE_CLASSES.INVALID_DATA_URI, `The image could not be decoded: ${error.message}`);
+    }
+    if (hash.blank) {
+        throw new PageFetchError(FAILURE_CLASSES.BLANK_PAGE, 'The image is blank (probably a loading frame).');
+    }
+    for (const neighbour of [pageNumber - 1, pageNumber + 1]) {
+        const entry = job.fetched[neighbour];
+        if (entry && entry.hash && isDuplicate(hash, entry.hash)) {
+            const error = new PageFetchError(FAILURE_CLASSES.DUPLICATE_PAGE, `The image is the same as page ${neighbour}.`);
+            error.duplicateOf = neighbour;
+            throw error;
+        }
+    }
+    return hash;
+};
+
+/**
+ * Looks up the viewer adapter named in a request (the default adapter if none is named)
+ * and checks the book identifiers against it.
+ * @param {object} body - The request body, with `group_name` and `pdf` already known to be present.
+ * @returns {{error: string}|{adapter: object}}
+ */
+const resolveAdapter = (body) => {
+    const adapter = getAdapter(body.adapter || undefined);
+    if (!adapter) {
+        const names = listAdapters().map(({ name }) => name).join(', ');
+        return { error: `Unknown adapter '${body.adapter}'. Available adapters: ${names}.` };
+    }
+    const bookError = adapter.validateBook({ group_name: body.group_name, pdf: body.pdf });
+    if (bookError) {
+        return { error: bookError };
+    }
+    return { adapter };
+};
+
+// The longest image selector a request may give.
+const MAX_SELECTOR_LENGTH = 300;
+// Plain CSS selector characters; no braces, semicolons, backslash escapes, '<' or '@'.
+const SELECTOR_CHARACTERS = /^[A-Za-z0-9 _\-.#:[\]()=~^$*|,>+'"/]+$/;
+
+/**
+ * Checks an image selector given by a request. Only plain CSS selectors are accepted: Puppeteer's
+ * own query handlers (`xpath/...`, `text/...`, `::-p-...`), pseudo-elements, escapes and
+ * unbalanced brackets or quotes are rejected, so a selector can only ever pick elements.
+ * @param {*} selector - The selector.
+ * @returns {string|null} An error message, or null if the selector is acceptable.
+ */
+const validateSelector = (selector) => {
+    if (typeof selector !== 'string' || selector.trim() === '' || selector.length > MAX_SELECTOR_LENGTH) {
+        return `selector must be a CSS selector of at most ${MAX_SELECTOR_LENGTH} characters.`;
+    }
+    if (!SELECTOR_CHARACTERS.test(selector)) {
+        return 'selector contains characters that are not allowed in an image selector.';
+    }
+    if (/^\s*[A-Za-z-]+\//.test(selector) || selector.includes('::')) {
+        return 'selector must be a plain CSS selector; query handlers and pseudo-elements are not allowed.';
+    }
+
+    const closers = { '[': ']', '(': ')' };
+    const open = [];
+    let quote = null;
+    for (const char of selector) {
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (closers[char]) {
+            open.push(closers[char]);
+        } else if ((char === ']' || char === ')') && open.pop() !== char) {
+            return 'selector has unbalanced brackets.';
+        }
+    }
+    if (quote || open.length > 0) {
+        return 'selector has unbalanced brackets or quotes.';
+    }
+    return null;
+};
+
+/**
+ * Splits pasted viewer URLs (an array, or a string with one URL per line) and parses each one.
+ * @param {string|string[]} urls - The pasted URLs.
+ * @returns {Array<{url: string, adapter?: string, group_name?: string, pdf?: string, page?: number|null, error?: string}>}
+ */
+const parseViewerUrls = (urls) => {
+    const list = Array.isArray(urls) ? urls : String(urls || '').split(/\s+/);
+    return list
+        .map(url => String(url).trim())
+        .filter(url => url !== '')
+        .map(url => {
+            const parsed = parseViewerUrl(url);
+            if (!parsed) {
+                return { url, error: 'Not a URL of a supported viewer.' };
+            }
+            const { adapter, group_name, pdf, page } = parsed;
+            const bookError = adapter.validateBook({ group_name, pdf });
+            if (bookError) {
+                return { url, error: bookError };
+            }
+            return { url, adapter: adapter.name, group_name, pdf, page };
+        });
+};
+
+/**
+ * Reduces parsed viewer URLs to one entry per book, keeping the first URL seen for each.
+ * @param {object[]} results - Results from `parseViewerUrls` without errors.
+ * @returns {object[]}
+ */
+const uniqueBooks = (results) => {
+    const books = new Map();
+    for (const result of results) {
+        const key = `${result.adapter}/${result.group_name}/${result.pdf}`;
+        if (!books.has(key)) books.set(key, result);
+    }
+    return Array.from(books.values());
+};
+
+/**
+ * Extracts components from a Base64 data URI.
+ * The nonstandard 'image/jpg' some viewers send is reported as 'image/jpeg', so every output
+ * format and the image processing see JPEG pages as JPEG.
+ * @param {string} dataURI - The Base64 data URI.
+ * @returns {{mimeType: string, extension: string, data: string}|null}
+ */
+const parseDataURI = (dataURI) => {
+    const match = dataURI.match(/^data:(image\/(.+?));base64,(.*)$/);
+    if (!match) return null;
+
+    const mimeType = match[1] === 'image/jpg' ? 'image/jpeg' : match[1];
+    let extension = match[2];
+    // Handle complex mime types like 'svg+xml' -> 'svg'
+    if (extension.includes('+')) {
+        extension = extension.split('+')[0];
+    }
+     // Simple sanitization
+    extension = extension.replace(/[^a-zA-Z0-9]/g, '');
+
+    return { mimeType, extension, data: match[3] };
+};
+
+/**
+ * Returns the document metadata of a job's output. The title falls back to the one the viewer
+ * showed when the book length was detected, then to the group name.
+ * @param {object} job - The job record.
+ * @returns {{title: string, author?: string, subject?: string, language?: string}}
+ */
+const getDocumentMetadata = (job) => {
+    const { group_name, metadata = {}, language } = job.params;
+    return {
+        title: metadata.title || (job.book && job.book.title) || group_name,
+        author: metadata.author,
+        subject: metadata.subject,
+        language,
+    };
+};
+
+/**
+ * Assembles the fetched pages of a job into its output file, in page order.
+ * Every format gets the page images after the same post-processing (see lib/imageProcessing.js);
+ * the fetched pages on disk are left as they are, so the output can be rebuilt with other options.
+ * @param {object} job - The job record.
+ * @param {{zipCompressionLevel: number}} settings - The job settings.
+ * @returns {Promise<{mimeType: string, filename: string}>} The artifact description.
+ */
+const buildArtifact = async (job, settings) => {
+    const compressionLevel = settings.zipCompressionLevel;
+    const { group_name, output_format, chapters, reading_direction } = job.params;
+    const outputPath = artifactPath(job, output_format);
+    const fetchedPages = job.pages
+        .filter(page => job.fetched[page])
+        .map(page => ({ page, path: pagePath(job, page), ...job.fetched[page] }));
+    const artifact = { mimeType: OUTPUT_FORMATS[output_format], filename: `${group_name}.${output_format}` };
+
+    // Jobs created before image processing existed get the defaults.
+    const imageOptions = job.params.image || normalizeImageOptions().options;
+    const images = await processPages({
+        pages: fetchedPages,
+        outputDir: await prepareProcessedDir(job),
+        imageOptions,
+        readingDirection: reading_direction,
+    });
+
+    if (output_format === 'zip') {
+        const entries = images.map(({ page, lastPage, path: imageFile, extension }) => ({
+            name: lastPage === page ? `page_${page}.${extension}` : `page_${page}-${lastPage}.${extension}`,
+            path: imageFile,
+        }));
+        await writeZip(outputPath, entries, { compressionLevel });
+        return artifact;
+    }
+
+    if (output_format === 'pdf') {
+        const { placeholders } = job.params;
+        const imagesByPage = new Map(images.map(image => [image.page, image]));
+        const { bytes } = await buildPdf({
+            pages: job.pages,
+            readPage: async (page) => {
+                const image = imagesByPage.get(page);
+                if (!image) return null;
+                return { buffer: await fs.promises.readFile(image.path), mimeType: image.mimeType, lastPage: image.lastPage };
+            },
+            metadata: getDocumentMetadata(job),
+            chapters,
+            placeholders,
+        });
+        await fs.promises.writeFile(outputPath, bytes);
+        return artifact;
+    }
+
+    if (output_format === 'cbz') {
+        await buildCbz({
+            outputPath,
+            pages: images,
+            metadata: getDocumentMetadata(job),
+            chapters,
+            readingDirection: reading_direction,
+            compressionLevel,
+        });
+        return artifact;
+    }
+
+    if (output_format === 'epub') {
+        await buildEpub({
+            outputPath,
+            identifier: `urn:uuid:${job.id}`,
+            pages: images,
+            metadata: getDocumentMetadata(job),
+            chapters,
+            readingDirection: reading_direction,
+            compressionLevel,
+        });
+        return artifact;
+    }
+
+    throw new Error(`Unsupported output format: ${output_format}`);
+};
+
+/**
+ * Turns the configuration (see lib/config.js) into options for `createEngine`.
+ * @param {object} config - The configuration from `loadConfig`.
+ * @returns {object} Options for `createEngine`.
+ */
+const engineOptionsFromConfig = (config) => {
+    const { browser, viewer, jobs, cache, server } = config;
+    const launchOptions = { args: [] };
+    if (browser.noSandbox) {
+        launchOptions.args.push('--no-sandbox', '--disable-setuid-sandbox');
+    }
+    if (browser.executablePath) {
+        launchOptions.executablePath = browser.executablePath;
+    }
+
+    const pageOptions = { userAgent: browser.userAgent, viewport: browser.viewport, credentials: null };
+    if (browser.proxy) {
+        // Chrome takes the proxy without credentials; they are answered on each page instead.
+        const proxy = new URL(browser.proxy);
+        launchOptions.args.push(`--proxy-server=${proxy.protocol}//${proxy.host}`);
+        if (proxy.username) {
+            pageOptions.credentials = { username: decodeURIComponent(proxy.username), password: decodeURIComponent(proxy.password) };
+        }
+    }
+
+    return {
+        launchOptions,
+        pageOptions,
+        maxBrowserPages: browser.maxPages,
+        ratePerSecond: viewer.ratePerSecond,
+        rateBurst: viewer.rateBurst,
+        defaultJobConcurrency: jobs.concurrency,
+        maxConcurrentJobs: jobs.maxConcurrent,
+        dataDir: server.outputDir,
+        cacheMaxBytes: cache.maxMb * 1024 * 1024,
+        cacheTtlMs: cache.ttlHours * 60 * 60 * 1000,
+        jobSettings: getJobSettings(config),
+    };
+};
+
+/**
+ * Creates the download engine.
+ *
+ * One long-lived browser serves every fetch; `maxBrowserPages` caps the pages open across all jobs,
+ * and requests to each viewer host share a token bucket of `ratePerSecond` requests per second
+ * (bursts of up to `rateBurst`). Fetched pages are kept in a page cache shared by every job, so
+ * fetching the same page again (e.g. re-exporting a book in another format) does not go back to
+ * the viewer.
+ *
+ * Batch downloads run as jobs. Each job and every page it has fetched so far is kept on disk
+ * (see jobStore.js), so an interrupted job can be resumed and will only fetch the pages that are
+ * still missing. Up to `maxConcurrentJobs` jobs run at once; the rest wait in the queue.
+ *
+ * Jobs that finish with an output file are added to the download history (`history`, see
+ * history.js), kept in <dataDir>/history.json.
+ *
+ * The returned `events` emitter reports:
+ *   - 'progress' (job, data): a log line, progress value or outcome of a running job,
+ *   - 'finished' (job): a job stopped running, whether done, failed or cancelled.
+ *
+ * @param {object} [options] - See `engineOptionsFromConfig`.
+ * @param {object} [options.launchOptions={}] - Options passed to `puppeteer.launch`.
+ * @param {object} [options.pageOptions={}] - User agent, viewport and proxy credentials of every page (see browserPool.js).
+ * @param {number} [options.maxBrowserPages=4]
+ * @param {number} [options.ratePerSecond=1]
+ * @param {number} [options.rateBurst=2]
+ * @param {number} [options.defaultJobConcurrency=2] - Pages fetched in parallel per job unless the request asks for another value.
+ * @param {number} [options.maxConcurrentJobs=2]
+ * @param {string} [options.dataDir] - The directory for jobs and the page cache (data/ by default).
+ * @param {string} [options.cacheDir] - The page cache directory (<dataDir>/cache by default).
+ * @param {number} [options.cacheMaxBytes] - The page cache size limit; 0 turns the cache off.
+ * @param {number} [options.cacheTtlMs] - How long cached pages are served.
+ * @param {object} [options.jobSettings] - Timeouts, navigation and output settings of every job that
+ *   does not set its own (see the overridable settings in lib/config.js).
+ * @param {number} [options.maxPagesPerJob=0] - The most pages a job may have; 0 for no limit.
+ * @param {object} [options.pageQuota] - Limits the pages jobs fetch from the viewers; none by default.
+ * @param {function(object, number): void} options.pageQuota.reserve - Called with a job and the
+ *   number of pages it is going to fetch whenever they are known: when it is queued, and once an
+ *   open-ended range has been expanded.
+ * @param {function(object): boolean} options.pageQuota.takePage - Called each time a job is about to
+ *   fetch a page from the viewer, retries included but not pages in the page cache; false if the
+ *   quota is used up, which fails the page.
+ * @returns {object} The engine.
+ */
+const createEngine = ({
+    launchOptions = {},
+    pageOptions = {},
+    maxBrowserPages = 4,
+    ratePerSecond = 1,
+    rateBurst = 2,
+    defaultJobConcurrency = 2,
+    maxConcurrentJobs = 2,
+    dataDir = path.join(__dirname, '..', 'data'),
+    cacheDir = path.join(dataDir, 'cache'),
+    cacheMaxBytes,
+    cacheTtlMs,
+    jobSettings = {},
+    maxPagesPerJob = 0,
+    pageQuota = null,
+} = {}) => {
+    setJobsDir(path.join(dataDir, 'jobs'));
+    const defaultSettings = { ...DEFAULT_JOB_SETTINGS, ...jobSettings };
+    const browserPool = createBrowserPool({ maxPages: maxBrowserPages, launchOptions, pageOptions });
+    const viewerRateLimiter = createRateLimiter({ ratePerSecond, burst: rateBurst });
+    const pageCache = createPageCache({ dir: cacheDir, maxBytes: cacheMaxBytes, ttlMs: cacheTtlMs });
+    const history = createHistory({ file: path.join(dataDir, 'history.json') });
+
+    const events = new EventEmitter();
+    events.setMaxListeners(0);
+    const jobQueue = [];
+    let activeJobCount = 0;
+    // Jobs currently running, keyed by ID, so they can be cancelled.
+    const runningJobs = new Map();
+
+    /**
+     * Reports progress of a job to whoever listens for 'progress' events. The payload's `type` is one of:
+     *   - 'log': a job-level step, in `message`;
+     *   - 'page': a page `status` change: 'started', 'retrying' (with attempt, delayMs, failureClass,
+     *     reason), 'succeeded' (with bytes, fromCache), 'failed' or 'flagged' (with reason,
+     *     failureClass, attempts);
+     *   - 'progress': `value` in percent, pages `completed` of `total`, `bytes` fetched in this run and
+     *     `etaSeconds`;
+     *   - 'complete', 'cancelled' or 'error': the end of the run.
+     * Every 'log' and 'page' event also has a human-readable `message`.
+     * @param {object} job - The job record.
+     * @param {object} data - The progress payload.
+     */
+    const emitProgress = (job, data) => {
+        events.emit('progress', job, data);
+    };
+
+    /**
+     * Returns the settings a job runs with: the configured ones, with the job's own overrides.
+     * @param {object} job - The job record.
+     * @returns {object}
+     */
+    const getSettings = (job) => ({ ...defaultSettings, ...job.params.settings });
+
+    /**
+     * Runs `fn` on a page from the shared browser pool, after waiting for the viewer host's rate limit.
+     * @param {string} url - The viewer URL `fn` is going to open.
+     * @param {function(object): Promise<*>} fn - Receives the Puppeteer page.
+     * @param {Set<object>} [activePages] - If given, the Puppeteer page is tracked here while in use, so it can be closed on cancel.
+     * @returns {Promise<*>} The result of `fn`.
+     */
+    const withViewerPage = async (url, fn, activePages) => {
+        await viewerRateLimiter.acquire(new URL(url).host);
+        const puppeteerPage = await browserPool.acquirePage();
+        if (activePages) activePages.add(puppeteerPage);
+        try {
+            return await fn(puppeteerPage);
+        } finally {
+            if (activePages) activePages.delete(puppeteerPage);
+            browserPool.releasePage(puppeteerPage);
+        }
+    };
+
+    /**
+     * Fetches one page image, from the page cache if it is there and through the shared browser pool
+     * otherwise. Freshly fetched images are added to the cache.
+     * @param {object} adapter - The viewer adapter.
+     * @param {{group_name: string, pdf: string}} book - The book to fetch from.
+     * @param {string} selector - The CSS selector for the image.
+     * @param {number} pageNumber - The requested page number.
+     * @param {Set<object>} [activePages] - If given, the Puppeteer page is tracked here while in use, so it can be closed on cancel.
+     * @param {object} [settings] - The job settings; the configured ones by default.
+     * @param {function(): void} [beforeViewer] - Called on a cache miss, before going to the viewer; may throw to stop the fetch.
+     * @returns {Promise<{mimeType: string, extension: string, data: string, fromCache: boolean}>} The parsed image.
+     * @throws {PageFetchError} If the image cannot be fetched or its data URI is invalid.
+     */
+    const fetchPageImage = async (adapter, book, selector, pageNumber, activePages, settings = defaultSettings, beforeViewer) => {
+        const cacheKey = getCacheKey(adapter, book, selector, pageNumber);
+        try {
+            const cached = await pageCache.get(cacheKey);
+            if (cached) {
+                return { ...cached, fromCache: true };
+            }
+        } catch (error) {
+            console.error(`Failed to read page ${pageNumber} from the page cache:`, error.message);
+        }
+
+        if (beforeViewer) beforeViewer();
+        const url = adapter.buildUrl(book, pageNumber);
+        const base64Image = await withViewerPage(
+            url,
+            puppeteerPage => getImageBase64(puppeteerPage, adapter, url, selector, pageNumber, settings),
+            activePages
+        );
+
+        const imageInfo = parseDataURI(base64Image);
+        if (!imageInfo) {
+            throw new PageFetchError(FAILURE_CLASSES.INVALID_DATA_URI, 'Invalid Base64 image format.');
+        }
+        // A cache that cannot be written only costs a refetch later.
+        await pageCache.set(cacheKey, imageInfo)
+            .catch(error => console.error(`Failed to add page ${pageNumber} to the page cache:`, error.message));
+        return { ...imageInfo, fromCache: false };
+    };
+
+    /**
+     * Opens the first page of a book and reads its page count and metadata.
+     * @param {object} adapter - The viewer adapter.
+     * @param {{group_name: string, pdf: string}} book - The book to inspect.
+     * @param {Set<object>} [activePages] - If given, the Puppeteer page is tracked here while in use, so it can be closed on cancel.
+     * @param {object} [settings] - The job settings; the configured ones by default.
+     * @returns {Promise<{totalPages: number, title: string|null, spread: boolean, method: string}>}
+     */
+    const fetchBookInfo = (adapter, book, activePages, settings = defaultSettings) => {
+        const url = adapter.buildUrl(book, 1);
+        const options = { timeout: settings.navigationTimeoutMs, selectorTimeout: settings.selectorTimeoutMs, waitUntil: settings.waitUntil };
+        return withViewerPage(url, puppeteerPage => adapter.detectBookInfo(puppeteerPage, url, options), activePages);
+    };
+
+    /**
+     * Opens a page of a book and lists the images that could be the page image, each with a
+     * selector that picks it; for finding a new selector when the viewer's markup has changed.
+     * @param {object} adapter - The viewer adapter.
+     * @param {{group_name: string, pdf: string}} book - The book.
+     * @param {number} pageNumber - The page to open.
+     * @param {object} [settings] - The job settings; the configured ones by default.
+     * @returns {Promise<{url: string, candidates: object[]}>} See `findImageCandidates`.
+     */
+    const discoverSelectors = (adapter, book, pageNumber, settings = defaultSettings) => {
+        const url = adapter.buildUrl(book, pageNumber);
+        return withViewerPage(url, async (puppeteerPage) => {
+            await openViewerPage(puppeteerPage, url, settings);
+            try {
+                // The viewer may add its images by script after load.
+                await puppeteerPage.waitForSelector('img', { timeout: settings.selectorTimeoutMs });
+            } catch (error) {
+                if (error.name !== 'TimeoutError') throw error;
+            }
+            return { url, candidates: await findImageCandidates(puppeteerPage) };
+        });
+    };
+
+    /**
+     * Shows what a job with a selector would fetch for a page: every image the selector matches
+     * and which one the adapter's spread rule picks. The page cache is neither read nor written.
+     * @param {object} adapter - The viewer adapter.
+     * @param {{group_name: string, pdf: string}} book - The book.
+     * @param {string} selector - The CSS selector for the image.
+     * @param {number} pageNumber - The page to preview.
+     * @param {object} [settings] - The job settings; the configured ones by default.
+     * @returns {Promise<{url: string, matched: number, pickedIndex: number|null, images: object[]}>}
+     *   `pickedIndex` is null if the spread rule cannot pick an image from that many.
+     * @throws {PageFetchError} If the page does not load or the selector never matches.
+     */
+    const previewSelector = async (adapter, book, selector, pageNumber, settings = defaultSettings) => {
+        const url = adapter.buildUrl(book, pageNumber);
+        const sources = await withViewerPage(url, puppeteerPage => getImageSources(puppeteerPage, url, selector, settings));
+        const picked = adapter.pickImage(sources, pageNumber);
+        return {
+            url,
+            matched: sources.length,
+            pickedIndex: picked ? sources.indexOf(picked) : null,
+            images: await describeSources(sources, PREVIEW_SIZE),
+        };
+    };
+
+    /**
+     * Checks a job's page count against `maxPagesPerJob`.
+     * @param {number} count - The number of pages.
+     * @returns {string|null} An error message, or null if the count is allowed.
+     */
+    const tooManyPages = (count) => (maxPagesPerJob > 0 && count > maxPagesPerJob
+        ? `The page range has ${count} pages, but a job may have at most ${maxPagesPerJob}. Split the book into several jobs.`
+        : null);
+
+    /**
+     * Validates the parameters of a batch request.
+     * @param {object} body - The request body.
+     * @returns {{error: string}|{params: object, pages: number[]}}
+     */
+    const validateBatchParams = (body) => {
+        const { group_name, pdf, page_range, output_format } = body;
+
+        if (!group_name || !pdf || !page_range || !output_format) {
+            return { error: 'Missing required parameters.' };
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(OUTPUT_FORMATS, output_format)) {
+            return { error: `Unsupported output_format '${output_format}'. Use one of: ${Object.keys(OUTPUT_FORMATS).join(', ')}.` };
+        }
+
+        const { adapter, error: adapterError } = resolveAdapter(body);
+        if (adapterError) {
+            return { error: adapterError };
+        }
+        if (body.selector) {
+            const selectorError = validateSelector(body.selector);
+            if (selectorError) {
+                return { error: selectorError };
+            }
+        }
+        const selector = body.selector || adapter.defaultSelector;
+
+        let lastPage;
+        if (body.last_page !== undefined) {
+            lastPage = Number(body.last_page);
+            if (!Number.isInteger(lastPage) || lastPage < 1) {
+                return { error: 'last_page must be a positive integer.' };
+            }
+        }
+
+        let pages;
+        try {
+            // Open-ended ranges ("30-", "all") without a last_page are expanded once the job has detected the book length.
+            pages = isOpenEnded(page_range) && !lastPage ? null : parsePageRange(page_range, { lastPage });
+        } catch (error) {
+            if (error instanceof PageRangeError) {
+                return { error: `Invalid page range: ${error.message}` };
+            }
+            throw error;
+        }
+        if (pages && tooManyPages(pages.length)) {
+            return { error: tooManyPages(pages.length) };
+        }
+
+        const concurrency = body.concurrency === undefined ? defaultJobConcurrency : Number(body.concurrency);
+        if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > maxBrowserPages) {
+            return { error: `concurrency must be an integer between 1 and ${maxBrowserPages}.` };
+        }
+
+        const retry = normalizeRetryPolicy(body.retry);
+        if (retry.error) {
+            return { error: retry.error };
+        }
+
+        // Document properties and layout options; used by the PDF, CBZ and EPUB outputs.
+        const metadata = {};
+        for (const key of ['title', 'author', 'subject']) {
+            const value = body[key];
+            if (value === undefined || value === null || value === '') continue;
+            if (typeof value !== 'string' || value.length > 500) {
+                return { error: `${key} must be a string of at most 500 characters.` };
+            }
+            metadata[key] = value.trim();
+        }
+
+        const chapters = normalizeChapters(body.chapters);
+        if (chapters.error) {
+            return { error: chapters.error };
+        }
+
+        const readingDirection = body.reading_direction || 'ltr';
+        if (readingDirection !== 'ltr' && readingDirection !== 'rtl') {
+            return { error: "reading_direction must be 'ltr' or 'rtl'." };
+        }
+
+        // Blank and duplicate page detection is on unless explicitly turned off, e.g. for books with blank pages.
+        const checkPages = body.check_pages === undefined ? true : body.check_pages === true || body.check_pages === 'true';
+
+        const image = normalizeImageOptions(body.image);
+        if (image.error) {
+            return { error: image.error };
+        }
+
+        // Timeouts and output settings this job may set for itself; see lib/config.js.
+        const settings = normalizeSettingsOverrides(body.settings, defaultSettings);
+        if (settings.error) {
+            return { error: settings.error };
+        }
+
+        const language = body.language || 'ja';
+        if (typeof language !== 'string' || !/^[A-Za-z]{2,3}(-[A-Za-z0-9]{1,8})*$/.test(language)) {
+            return { error: 'language must be a language tag such as ja or en-US.' };
+        }
+
+        return {
+            params: {
+                adapter: adapter.name,
+                group_name,
+                pdf,
+                page_range,
+                last_page: lastPage,
+                selector,
+                output_format,
+                concurrency,
+                retry: retry.policy,
+                metadata,
+                chapters: chapters.chapters,
+                placeholders: Boolean(body.placeholders),
+                reading_direction: readingDirection,
+                language,
+                image: image.options,
+                check_pages: checkPages,
+                settings: settings.settings,
+            },
+            pages,
+        };
+    };
+
+    /**
+     * Detects the length of a job's book and expands its open-ended page range.
+     * The detected book info is kept on the job for later use.
+     * @param {object} job - The job record, with `pages` still null.
+     * @param {object} adapter - The job's viewer adapter.
+     * @param {object} control - The running job's control object.
+     * @returns {Promise<void>}
+     */
+    const resolveJobPages = async (job, adapter, control) => {
+        const { group_name, pdf, page_range } = job.params;
+        emitProgress(job, { type: 'log', message: 'Detecting book length...' });
+
+        const bookInfo = await withRetry(
+            () => fetchBookInfo(adapter, { group_name, pdf }, control.activePages, getSettings(job)),
+            normalizeRetryPolicy(job.params.retry).policy,
+            { signal: control.abortController.signal }
+        );
+        job.book = bookInfo;
+        job.params.last_page = bookInfo.totalPages;
+        const pages = parsePageRange(page_range, { lastPage: bookInfo.totalPages });
+        if (tooManyPages(pages.length)) {
+            throw new Error(tooManyPages(pages.length));
+        }
+        job.pages = pages;
+        await saveJob(job);
+
+        emitProgress(job, { type: 'log', message: `Book has ${bookInfo.totalPages} pages; ${job.pages.length} selected.` });
+    };
+
+    /**
+     * Adds a finished job to the download history. A failure is logged but does not fail the job.
+     * @param {object} job - The job record, with its artifact built.
+     * @returns {Promise<void>}
+     */
+    const recordHistory = async (job) => {
+        try {
+            const outputPath = artifactPath(job, job.params.output_format);
+            const { size } = await fs.promises.stat(outputPath);
+            await history.record(job, { path: outputPath, size });
+        } catch (error) {
+            console.error(`Failed to record job ${job.id} in the download history:`, error);
+        }
+    };
+
+    /**
+     * Deletes a past download: its history entry and its job, with the pages and output file.
+     * @param {string} id - The job ID of the entry.
+     * @returns {Promise<{error: string}|{deleted: true}|null>} Null if there is no such entry; an
+     *   error if the job is queued or running again.
+     */
+    const deleteDownload = async (id) => {
+        if (!(await history.get(id))) return null;
+        const job = await loadJob(id);
+        if (job && (job.status === 'queued' || job.status === 'running' || runningJobs.has(id))) {
+            return { error: `The download is being updated (status: ${job.status}); cancel it first.` };
+        }
+        await history.remove(id);
+        await deleteJob(id);
+        return { deleted: true };
+    };
+
+    /**
+     * Runs a job: fetches every page that is not on disk yet, then assembles the output file.
+     * Up to `concurrency` pages are fetched at once, and pages failing with a retryable failure
+     * class are retried according to the job's retry policy. The job record is saved after each
+     * page, so the work done so far survives a crash.
+     * @param {object} job - The job record.
+     * @param {object} control - The job's control object from `createJobControl`, already in `runningJobs`.
+     * @returns {Promise<void>}
+     */
+    const runJob = async (job, control) => {
+        const { group_name, pdf, selector } = job.params;
+        // Jobs created before adapters existed have no adapter name and use the default.
+        const adapter = getAdapter(job.params.adapter || undefined);
+        const concurrency = job.params.concurrency || defaultJobConcurrency;
+        const retryPolicy = normalizeRetryPolicy(job.params.retry).policy;
+        const settings = getSettings(job);
+        let totalPages = 0;
+        let pendingPages = [];
+        let started = 0;
+        let finished = 0;
+        // Throughput of this run, for the ETA; pages fetched before a resume do not count.
+        const runStartedAt = Date.now();
+        let finishedThisRun = 0;
+        let bytesThisRun = 0;
+        // Pages put back in the queue this run because a later neighbour had the same image.
+        const refetched = new Set();
+
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        job.failedPages = [];
+        job.flaggedPages = [];
+        job.error = null;
+        await saveJob(job);
+
+        // Once the owner's page quota is used up, only pages in the page cache can still be had; the
+        // rest fail and can be fetched later with a retry of the failed pages.
+        const takeQuota = () => {
+            if (pageQuota && !pageQuota.takePage(job)) {
+                throw new PageFetchError(FAILURE_CLASSES.QUOTA_EXCEEDED, 'The daily page quota is used up.');
+            }
+        };
+
+        /**
+         * Puts a page already on disk back in the queue, because its neighbour came out with the same
+         * image: the page that finished first may be the one the carousel showed too early. Each page
+         * goes back once per run, so two pages that really look alike do not trade places forever.
+         * @param {number} page - The page on disk.
+         * @param {number} duplicate - The neighbour with the same image.
+         */
+        const refetchDuplicate = async (page, duplicate) => {
+            if (refetched.has(page) || !job.fetched[page]) return;
+            refetched.add(page);
+            delete job.fetched[page];
+            await pageCache.remove(getCacheKey(adapter, { group_name, pdf }, selector, page))
+                .catch(error => console.error(`Failed to remove page ${page} from the page cache:`, error.message));
+            await saveJob(job);
+            pendingPages.push(page);
+            started--;
+            finished--;
+            emitProgress(job, { type: 'log', message: `Page ${page} has the same image as page ${duplicate}; fetching it again.` });
+        };
+
+        const fetchNextPages = async () => {
+            while (pendingPages.length > 0 && !control.cancelled) {
+                const page = pendingPages.shift();
+                started++;
+
+                emitProgress(job, {
+                    type: 'page',
+                    status: 'started',
+                    page,
+                    index: started,
+                    total: totalPages,
+                    message: `Fetching page ${page} (${started}/${totalPages})...`,
+                });
+
+                try {
+                    const { imageInfo, hash } = await withRetry(
+                        async () => {
+                            const fetchedImage = await fetchPageImage(adapter, { group_name, pdf }, selector, page, control.activePages, settings, takeQuota);
+                            // Jobs created before page checks existed have no check_pages and are checked.
+                            if (job.params.check_pages === false) {
+                                return { imageInfo: fetchedImage, hash: null };
+                            }
+                            try {
+                                return { imageInfo: fetchedImage, hash: await checkFetchedPage(job, page, fetchedImage) };
+                            } catch (checkError) {
+                                // Never serve a page that looks wrong from the cache again; the retry goes to the viewer.
+                                await pageCache.remove(getCacheKey(adapter, { group_name, pdf }, selector, page))
+                                    .catch(error => console.error(`Failed to remove page ${page} from the page cache:`, error.message));
+                                if (checkError.duplicateOf) await refetchDuplicate(checkError.duplicateOf, page);
+                                throw checkError;
+                            }
+                        },
+                        retryPolicy,
+                        {
+                            signal: control.abortController.signal,
+                            onRetry: ({ attempt, delayMs, error, failureClass }) => {
+                                emitProgress(job, {
+                                    type: 'page',
+                                    status: 'retrying',
+                                    page,
+                                    attempt: attempt + 1,
+                                    maxAttempts: retryPolicy.maxAttempts,
+                                    delayMs,
+                                    failureClass: failureClass.name,
+                                    reason: error.message,
+                                    message: `Page ${page} failed (${failureClass.name}: ${error.message}); retrying in ${(delayMs / 1000).toFixed(1)}s (attempt ${attempt + 1}/${retryPolicy.maxAttempts})...`,
+                                });
+                            },
+                        }
+                    );
+                    await savePage(job, page, imageInfo, hash);
+                    const bytes = Buffer.byteLength(imageInfo.data, 'base64');
+                    bytesThisRun += bytes;
+                    emitProgress(job, {
+                        type: 'page',
+                        status: 'succeeded',
+                        page,
+                        bytes,
+                        fromCache: Boolean(imageInfo.fromCache),
+                        message: imageInfo.fromCache ? `Using cached page ${page}.` : `Successfully fetched page ${page}.`,
+                    });
+                    if (settings.pageDelayMs > 0 && !imageInfo.fromCache) {
+                        await sleep(settings.pageDelayMs, undefined, { signal: control.abortController.signal });
+                    }
+
+                } catch (pageError) {
+                    // Closing the page on cancel makes the fetch in flight fail; that is not a page failure.
+                    if (control.cancelled) break;
+                    console.error(`Failed to fetch page ${page}:`, pageError.message);
+                    const failureClass = pageError.failureClass || classifyError(pageError);
+                    let reason = pageError.message;
+                    if (pageError.name === 'TimeoutError') {
+                        reason = 'Timeout waiting for page/selector.';
+                    }
+                    const failure = { page, reason, failureClass: failureClass.name, attempts: pageError.attempts || 1 };
+                    if (failureClass === FAILURE_CLASSES.BLANK_PAGE || failureClass === FAILURE_CLASSES.DUPLICATE_PAGE) {
+                        if (pageError.duplicateOf) failure.duplicateOf = pageError.duplicateOf;
+                        job.flaggedPages.push(failure);
+                        emitProgress(job, { type: 'page', status: 'flagged', ...failure, message: `Flagged page ${page}: ${reason}` });
+                    } else {
+                        job.failedPages.push(failure);
+                        emitProgress(job, { type: 'page', status: 'failed', ...failure, message: `Failed to fetch page ${page}: ${reason}` });
+                    }
+                }
+
+                finished++;
+                finishedThisRun++;
+                await saveJob(job);
+                const secondsPerPage = (Date.now() - runStartedAt) / 1000 / finishedThisRun;
+                emitProgress(job, {
+                    type: 'progress',
+                    value: Math.round((finished / totalPages) * 100),
+                    completed: finished,
+                    total: totalPages,
+                    bytes: bytesThisRun,
+                    etaSeconds: Math.round(secondsPerPage * (totalPages - finished)),
+                });
+            }
+        };
+
+        try {
+            // Cancelled while it was being loaded from the queue; recorded as cancelled below.
+            if (control.cancelled) {
+                throw new Error('Job was cancelled.');
+            }
+            if (!adapter) {
+                throw new Error(`Unknown adapter '${job.params.adapter}'.`);
+            }
+            if (!job.pages) {
+                await resolveJobPages(job, adapter, control);
+            }
+            totalPages = job.pages.length;
+            pendingPages = getMissingPages(job);
+            started = finished = totalPages - pendingPages.length;
+            if (pageQuota) pageQuota.reserve(job, pendingPages.length);
+
+            if (finished > 0) {
+                emitProgress(job, { type: 'log', message: `Resuming job: ${finished} of ${totalPages} pages already fetched.` });
+            }
+
+            const workerCount = Math.min(concurrency, pendingPages.length);
+            await Promise.all(Array.from({ length: workerCount }, fetchNextPages));
+
+            if (control.cancelled) {
+                job.status = 'cancelled';
+                emitProgress(job, { type: 'cancelled', jobId: job.id });
+                return;
+            }
+
+            // Workers finish out of order; keep the failure list in page order.
+            job.failedPages.sort((a, b) => a.page - b.page);
+            job.flaggedPages.sort((a, b) => a.page - b.page);
+            emitProgress(job, { type: 'log', message: 'All pages processed. Compiling output file...' });
+
+            if (Object.keys(job.fetched).length === 0) {
+                throw new Error('No images could be downloaded.');
+            }
+
+            job.artifact = await buildArtifact(job, settings);
+            job.status = 'done';
+            emitProgress(job, { type: 'complete', jobId: job.id, failedPages: job.failedPages, flaggedPages: job.flaggedPages });
+
+        } catch (error) {
+            if (control.cancelled) {
+                job.status = 'cancelled';
+                emitProgress(job, { type: 'cancelled', jobId: job.id });
+            } else {
+                console.error(`Error during batch job ${job.id}:`, error);
+                job.status = 'failed';
+                job.error = error.message;
+                emitProgress(job, { type: 'error', message: error.message });
+            }
+        } finally {
+            runningJobs.delete(job.id);
+            await saveJob(job);
+            if (job.status === 'done') {
+                await recordHistory(job);
+            }
+            events.emit('finished', job);
+        }
+    };
+
+    /**
+     * Returns the object through which a running job is cancelled: the Puppeteer pages it is using
+     * right now, which cancelling closes, and the signal that stops its retries and delays.
+     * @returns {{cancelled: boolean, activePages: Set<object>, abortController: AbortController}}
+     */
+    const createJobControl = () => ({ cancelled: false, activePages: new Set(), abortController: new AbortController() });
+
+    /**
+     * Starts queued jobs until `maxConcurrentJobs` are running.
+     */
+    const processQueue = () => {
+        while (activeJobCount < maxConcurrentJobs && jobQueue.length > 0) {
+            const jobId = jobQueue.shift();
+            activeJobCount++;
+            // The job counts as running from here, so a cancel while it loads goes through its control.
+            const control = createJobControl();
+            runningJobs.set(jobId, control);
+            loadJob(jobId)
+                .then(job => {
+                    if (job && job.status === 'queued') return runJob(job, control);
+                    runningJobs.delete(jobId);
+                })
+                .catch(error => {
+                    runningJobs.delete(jobId);
+                    console.error(`Job ${jobId} stopped unexpectedly:`, error);
+                })
+                .finally(() => {
+                    activeJobCount--;
+                    processQueue();
+                });
+        }
+    };
+
+    /**
+     * Adds a job to the queue and starts it if a slot is free.
+     * @param {string} jobId - The job ID.
+     */
+    const enqueueJob = (jobId) => {
+        if (!jobQueue.includes(jobId)) {
+            jobQueue.push(jobId);
+        }
+        processQueue();
+    };
+
+    /**
+     * Resolves once the given job has finished running, successfully or not.
+     * Register the waiter before enqueueing the job so the event cannot be missed.
+     * @param {string} jobId - The job ID.
+     * @returns {Promise<object>} The finished job record.
+     */
+    const waitForJob = (jobId) => new Promise(resolve => {
+        const listener = (job) => {
+            if (job.id === jobId) {
+                events.off('finished', listener);
+                resolve(job);
+            }
+        };
+        events.on('finished', listener);
+    });
+
+    /**
+     * Re-queues jobs that were queued or running when the server last stopped.
+     * @returns {Promise<void>}
+     */
+    const resumeInterruptedJobs = async () => {
+        const jobs = await listJobs();
+        for (const job of jobs) {
+            if (job.status === 'queued' || job.status === 'running') {
+                console.log(`Resuming interrupted job ${job.id} (${getMissingPages(job).length} pages missing).`);
+                job.status = 'queued';
+                job.clientId = null;
+                await saveJob(job);
+                enqueueJob(job.id);
+            }
+        }
+    };
+
+    /**
+     * Creates a queued job from validated parameters without starting it; `enqueueJob` starts it.
+     * In between, listeners such as `waitForJob` can be attached without missing any event.
+     * @param {{params: object, pages: number[]|null}} validated - The result of `validateBatchParams`.
+     * @param {string} [clientId] - The SSE client to send progress to.
+     * @param {string} [owner] - Who the job belongs to, e.g. `user:<name>`; see server.js.
+     * @returns {Promise<object>} The new job record.
+     */
+    const createQueuedJob = async ({ params, pages }, clientId, owner) => {
+        const job = await createJob(params, pages);
+        job.clientId = clientId || null;
+        job.owner = owner || null;
+        await saveJob(job);
+        if (pageQuota && pages) pageQuota.reserve(job, pages.length);
+        return job;
+    };
+
+    /**
+     * Creates a job from validated parameters and puts it in the queue.
+     * @param {{params: object, pages: number[]|null}} validated - The result of `validateBatchParams`.
+     * @param {string} [clientId] - The SSE client to send progress to.
+     * @param {string} [owner] - Who the job belongs to, e.g. `user:<name>`; see server.js.
+     * @returns {Promise<object>} The new job record.
+     */
+    const createAndEnqueueJob = async (validated, clientId, owner) => {
+        const job = await createQueuedJob(validated, clientId, owner);
+        enqueueJob(job.id);
+        return job;
+    };
+
+    /**
+     * Puts a finished or interrupted job back in the queue. Only the pages still missing are fetched,
+     * and the output file is rebuilt from everything on disk.
+     * @param {object} job - The job record.
+     * @param {object} body - The request body; may carry a new clientId, retry policy, image options and check_pages.
+     * @returns {Promise<{error: string}|{missingPages: number[]}>}
+     */
+    const requeueJob = async (job, body) => {
+        if (body.retry !== undefined) {
+            const retry = normalizeRetryPolicy(body.retry);
+            if (retry.error) {
+                return { error: retry.error };
+            }
+            job.params.retry = retry.policy;
+        }
+        if (body.image !== undefined) {
+            const image = normalizeImageOptions(body.image);
+            if (image.error) {
+                return { error: image.error };
+            }
+            job.params.image = image.options;
+        }
+        if (body.check_pages !== undefined) {
+            job.params.check_pages = body.check_pages === true || body.check_pages === 'true';
+        }
+        if (body.settings !== undefined) {
+            const settings = normalizeSettingsOverrides(body.settings, defaultSettings);
+            if (settings.error) {
+                return { error: settings.error };
+            }
+            job.params.settings = { ...job.params.settings, ...settings.settings };
+        }
+
+        job.status = 'queued';
+        job.clientId = body.clientId || null;
+        await saveJob(job);
+        const missingPages = getMissingPages(job);
+        if (pageQuota && job.pages) pageQuota.reserve(job, missingPages.length);
+        enqueueJob(job.id);
+        return { missingPages };
+    };
+
+    /**
+     * Cancels a queued or running job. A running job has the pages it has open closed right away
+     * and records the cancelled status itself once the page in flight has stopped.
+     * @param {object} job - The job record.
+     * @returns {Promise<string|null>} 'cancelling' for a running job, 'cancelled' for a queued one,
+     *   or null if the job is neither.
+     */
+    const cancelJob = async (job) => {
+        const control = runningJobs.get(job.id);
+        if (control) {
+            control.cancelled = true;
+            control.abortController.abort();
+            // The shared browser stays up for other jobs; only this job's pages are closed.
+            await Promise.all(Array.from(control.activePages, puppeteerPage =>
+                puppeteerPage.close().catch(error => console.error(`Failed to close page for job ${job.id}:`, error.message))
+            ));
+            return 'cancelling';
+        }
+
+        if (job.status !== 'queued') {
+            return null;
+        }
+
+        const queueIndex = jobQueue.indexOf(job.id);
+        if (queueIndex !== -1) {
+            jobQueue.splice(queueIndex, 1);
+        }
+        job.status = 'cancelled';
+        await saveJob(job);
+        emitProgress(job, { type: 'cancelled', jobId: job.id });
+        events.emit('finished', job);
+        return 'cancelled';
+    };
+
+    /**
+     * Creates a job, runs it through the queue and resolves once it has finished.
+     * @param {{params: object, pages: number[]|null}} validated - The result of `validateBatchParams`.
+     * @param {string} [clientId] - The SSE client to send progress to.
+     * @param {string} [owner] - Who the job belongs to.
+     * @returns {Promise<object>} The finished job record.
+     */
+    const runBatch = async (validated, clientId, owner) => {
+        const job = await createQueuedJob(validated, clientId, owner);
+        const finished = waitForJob(job.id);
+        enqueueJob(job.id);
+        return finished;
+    };
+
+    return {
+        events,
+        pageCache,
+        history,
+        fetchPageImage,
+        fetchBookInfo,
+        discoverSelectors,
+        previewSelector,
+        validateBatchParams,
+        createQueuedJob,
+        createAndEnqueueJob,
+        enqueueJob,
+        waitForJob,
+        requeueJob,
+        cancelJob,
+        deleteDownload,
+        runBatch,
+        resumeInterruptedJobs,
+        close: () => browserPool.close(),
+    };
+};
+
+module.exports = {
+    OUTPUT_FORMATS,
+    engineOptionsFromConfig,
+    createEngine,
+    resolveAdapter,
+    validateSelector,
+    parseViewerUrls,
+    uniqueBooks,
+    parseDataURI,
+    getImageBase64,
+};
@@ -0,0 +1,168 @@
+const fs = require('fs/promises');
+const sharp = require('sharp');
+const { writeZip, escapeXml } = require('./archive');
+
+const CONTAINER_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`;
+
+/**
+ * Builds the XHTML document for one fixed-layout page: the image filling a viewport of its own size.
+ * @param {{page: number, width: number, height: number, imageHref: string}} page - The page.
+ * @param {string} language - The book language.
+ * @returns {string}
+ */
+const buildPageXhtml = ({ page, width, height, imageHref }, language) => `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${escapeXml(language)}">
+<head>
+  <meta charset="UTF-8"/>
+  <title>Page ${page}</title>
+  <meta name="viewport" content="width=${width}, height=${height}"/>
+  <style>html, body { margin: 0; padding: 0; } img { display: block; width: ${width}px; height: ${height}px; }</style>
+</head>
+<body>
+  <img src="../${imageHref}" alt="Page ${page}"/>
+</body>
+</html>
+`;
+
+/**
+ * Builds the navigation document: a table of contents from the chapters (or a single entry
+ * for the first page) and a page list mapping the original page numbers.
+ * @param {object} options
+ * @param {string} options.title - The book title.
+ * @param {string} options.language - The book language.
+ * @param {Array<{title: string, href: string}>} options.toc - The table of contents entries.
+ * @param {Array<{page: number, href: string}>} options.pages - Every page, in order.
+ * @returns {string}
+ */
+const buildNavXhtml = ({ title, language, toc, pages }) => `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${escapeXml(language)}">
+<head>
+  <meta charset="UTF-8"/>
+  <title>${escapeXml(title)}</title>
+</head>
+<body>
+  <nav epub:type="toc" id="toc">
+    <h1>${escapeXml(title)}</h1>
+    <ol>
+${toc.map(entry => `      <li><a href="${entry.href}">${escapeXml(entry.title)}</a></li>`).join('\n')}
+    </ol>
+  </nav>
+  <nav epub:type="page-list" hidden="">
+    <ol>
+${pages.map(entry => `      <li><a href="${entry.href}">${entry.page}</a></li>`).join('\n')}
+    </ol>
+  </nav>
+</body>
+</html>
+`;
+
+/**
+ * Builds the package document listing every file and the reading order.
+ * @param {object} options
+ * @param {string} options.identifier - A unique identifier for the book.
+ * @param {{title: string, author?: string, subject?: string, language: string}} options.metadata - Book metadata.
+ * @param {string} options.readingDirection - 'ltr' or 'rtl'.
+ * @param {Array<{id: string, href: string, mediaType: string, properties?: string}>} options.manifest - The files.
+ * @param {string[]} options.spine - The IDs of the page documents, in reading order.
+ * @returns {string}
+ */
+const buildPackageOpf = ({ identifier, metadata, readingDirection, manifest, spine }) => {
+    // dcterms:modified must be in the form CCYY-MM-DDThh:mm:ssZ, without milliseconds.
+    const modified = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+    const optional = [];
+    if (metadata.author) optional.push(`    <dc:creator>${escapeXml(metadata.author)}</dc:creator>`);
+    if (metadata.subject) optional.push(`    <dc:description>${escapeXml(metadata.subject)}</dc:description>`);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${escapeXml(metadata.language)}" prefix="rendition: http://www.idpf.org/vocab/rendition/#">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">${escapeXml(identifier)}</dc:identifier>
+    <dc:title>${escapeXml(metadata.title)}</dc:title>
+    <dc:language>${escapeXml(metadata.language)}</dc:language>
+${optional.length > 0 ? `${optional.join('\n')}\n` : ''}    <meta property="dcterms:modified">${modified}</meta>
+    <meta property="rendition:layout">pre-paginated</meta>
+    <meta property="rendition:orientation">auto</meta>
+    <meta property="rendition:spread">auto</meta>
+  </metadata>
+  <manifest>
+${manifest.map(item => `    <item id="${item.id}" href="${item.href}" media-type="${item.mediaType}"${item.properties ? ` properties="${item.properties}"` : ''}/>`).join('\n')}
+  </manifest>
+  <spine page-progression-direction="${readingDirection}">
+${spine.map(id => `    <itemref idref="${id}"/>`).join('\n')}
+  </spine>
+</package>
+`;
+};
+
+/**
+ * Builds a fixed-layout EPUB 3 with one image per page and a navigation document.
+ * @param {object} options
+ * @param {string} options.outputPath - The file to write.
+ * @param {string} options.identifier - A unique identifier for the book (e.g. "urn:uuid:<job id>").
+ * @param {Array<{page: number, lastPage?: number, path: string, mimeType: string, extension: string}>} options.pages -
+ *   The page images, in order; an image with a `lastPage` is a spread of the pages from `page` to `lastPage`.
+ * @param {{title: string, author?: string, subject?: string, language?: string}} options.metadata - Book metadata.
+ * @param {Array<{title: string, start: number, end?: number}>} [options.chapters] - Chapters for the table of contents.
+ * @param {string} [options.readingDirection='ltr'] - 'ltr' or 'rtl'.
+ * @param {number} [options.compressionLevel=9] - The zlib level of the archive, 0-9.
+ * @returns {Promise<void>}
+ */
+const buildEpub = async ({ outputPath, identifier, pages, metadata, chapters = [], readingDirection = 'ltr', compressionLevel = 9 }) => {
+    const language = metadata.language || 'ja';
+    const digits = String(Math.max(...pages.map(({ page, lastPage = page }) => lastPage))).length;
+    const manifest = [{ id: 'nav', href: 'nav.xhtml', mediaType: 'application/xhtml+xml', properties: 'nav' }];
+    const spine = [];
+    const pageLinks = [];
+    // The mimetype entry has to come first and be stored uncompressed.
+    const entries = [
+        { name: 'mimetype', content: 'application/epub+zip', store: true },
+        { name: 'META-INF/container.xml', content: CONTAINER_XML },
+    ];
+
+    for (const [index, { page, lastPage = page, path, mimeType, extension }] of pages.entries()) {
+        const buffer = await fs.readFile(path);
+        const { width = 1000, height = 1414 } = await sharp(buffer).metadata().catch(() => ({}));
+        const baseName = `page_${String(page).padStart(digits, '0')}`;
+        const imageHref = `images/${baseName}.${extension}`;
+        const pageHref = `pages/${baseName}.xhtml`;
+
+        manifest.push({ id: `img-${page}`, href: imageHref, mediaType: mimeType, properties: index === 0 ? 'cover-image' : undefined });
+        manifest.push({ id: `page-${page}`, href: pageHref, mediaType: 'application/xhtml+xml' });
+        spine.push(`page-${page}`);
+        // Every page of a spread points at the same document.
+        for (let number = page; number <= lastPage; number++) {
+            pageLinks.push({ page: number, href: pageHref });
+        }
+
+        entries.push({ name: `OEBPS/${imageHref}`, path });
+        entries.push({ name: `OEBPS/${pageHref}`, content: buildPageXhtml({ page, width, height, imageHref }, language) });
+    }
+
+    const toc = chapters
+        .map(({ title, start, end }) => {
+            const first = pageLinks.find(({ page }) => page >= start && (end === undefined || page <= end));
+            return first ? { title, href: first.href } : null;
+        })
+        .filter(Boolean);
+    if (toc.length === 0) {
+        toc.push({ title: metadata.title, href: pageLinks[0].href });
+    }
+
+    entries.push({ name: 'OEBPS/nav.xhtml', content: buildNavXhtml({ title: metadata.title, language, toc, pages: pageLinks }) });
+    entries.push({
+        name: 'OEBPS/content.opf',
+        content: buildPackageOpf({ identifier, metadata: { ...metadata, language }, readingDirection, manifest, spine }),
+    });
+
+    await writeZip(outputPath, entries, { compressionLevel });
+};
+
+module.exports = { buildEpub };
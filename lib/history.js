@@ -0,0 +1,129 @@
+const fs = require('fs/promises');
+
+const { createJsonFileSaver } = require('./jsonFile');
+
+/**
+ * Builds the history entry of a finished job.
+ * @param {object} job - The job record, with its artifact built.
+ * @param {object} artifact
+ * @param {string} artifact.path - Where the artifact is saved.
+ * @param {number} artifact.size - Its size in bytes.
+ * @returns {object} The entry.
+ */
+const entryFromJob = (job, { path: artifactFile, size }) => {
+    const finishedAt = new Date().toISOString();
+    const metadata = job.params.metadata || {};
+    return {
+        id: job.id,
+        owner: job.owner || null,
+        adapter: job.params.adapter || null,
+        group_name: job.params.group_name,
+        pdf: job.params.pdf,
+        title: metadata.title || (job.book && job.book.title) || null,
+        author: metadata.author || null,
+        page_range: job.params.page_range,
+        pageCount: job.pages.length,
+        fetchedCount: Object.keys(job.fetched).length,
+        output_format: job.params.output_format,
+        failedPages: job.failedPages,
+        flaggedPages: job.flaggedPages || [],
+        fileSize: size,
+        // Of the last run; a resumed or retried job only counts the run that finished it.
+        durationMs: job.startedAt ? Date.parse(finishedAt) - Date.parse(job.startedAt) : null,
+        artifact: { filename: job.artifact.filename, mimeType: job.artifact.mimeType, path: artifactFile },
+        createdAt: job.createdAt,
+        finishedAt,
+        // Everything needed to run the download again.
+        params: job.params,
+    };
+};
+
+/**
+ * Creates the download history: one entry per job that finished with an output file, kept in
+ * `file` so it survives restarts. A job that is retried or resumed later updates its entry.
+ *
+ * @param {object} options
+ * @param {string} options.file - The history file, e.g. data/history.json.
+ * @returns {object} The history: { record, list, get, remove }.
+ */
+const createHistory = ({ file }) => {
+    let entriesPromise = null;
+
+    // Job ID -> entry.
+    const loadEntries = () => {
+        if (!entriesPromise) {
+            entriesPromise = fs.readFile(file, 'utf8')
+                .then(text => new Map((JSON.parse(text).entries || []).map(entry => [entry.id, entry])))
+                .catch(error => {
+                    if (error.code !== 'ENOENT') {
+                        console.error('Download history is unreadable; starting with an empty history:', error.message);
+                    }
+                    return new Map();
+                });
+        }
+        return entriesPromise;
+    };
+
+    const save = createJsonFileSaver(file, async () => ({ entries: Array.from((await loadEntries()).values()) }), { space: 2 });
+
+    /**
+     * Adds or updates the entry of a finished job.
+     * @param {object} job - The job record.
+     * @param {{path: string, size: number}} artifact - The saved artifact.
+     * @returns {Promise<object>} The entry.
+     */
+    const record = async (job, artifact) => {
+        const entries = await loadEntries();
+        const entry = entryFromJob(job, artifact);
+        entries.set(entry.id, entry);
+        await save();
+        return entry;
+    };
+
+    /**
+     * Lists entries, most recently finished first.
+     * @param {object} [filter]
+     * @param {string} [filter.query] - Words that must all appear in the title, author, book IDs or file name.
+     * @param {string} [filter.format] - Only entries with this output format.
+     * @param {string} [filter.owner] - Only entries of this owner, and those of jobs created before jobs
+     *   had owners, which everyone may see (as in server.js `canAccessJob`).
+     * @param {number} [filter.limit=50]
+     * @param {number} [filter.offset=0]
+     * @returns {Promise<{total: number, entries: object[]}>} `total` counts every match.
+     */
+    const list = async ({ query = '', format, owner, limit = 50, offset = 0 } = {}) => {
+        const words = String(query).toLowerCase().split(/\s+/).filter(Boolean);
+        const matches = Array.from((await loadEntries()).values())
+            .filter(entry => !format || entry.output_format === format)
+            .filter(entry => !owner || !entry.owner || entry.owner === owner)
+            .filter(entry => {
+                const text = [entry.title, entry.author, entry.group_name, entry.pdf, entry.artifact.filename]
+                    .filter(Boolean).join(' ').toLowerCase();
+                return words.every(word => text.includes(word));
+            })
+            .sort((a, b) => b.finishedAt.localeCompare(a.finishedAt));
+        return { total: matches.length, entries: matches.slice(offset, offset + limit) };
+    };
+
+    /**
+     * @param {string} id - The job ID.
+     * @returns {Promise<object|null>}
+     */
+    const get = async (id) => (await loadEntries()).get(id) || null;
+
+    /**
+     * Deletes an entry; its files are up to the caller.
+     * @param {string} id - The job ID.
+     * @returns {Promise<boolean>} False if there was no such entry.
+     */
+    const remove = async (id) => {
+        const entries = await loadEntries();
+        if (!entries.delete(id)) return false;
+        await save();
+        return true;
+    };
+
+    return { record, list, get, remove };
+};
+
+module.exports = { createHistory };
@@ -0,0 +1,193 @@
+const path = require('path');
+const sharp = require('sharp');
+
+// Image types every output format can take as they are.
+const PASSTHROUGH_TYPES = ['image/png', 'image/jpeg'];
+
+const OUTPUT_TYPES = {
+    png: { mimeType: 'image/png', extension: 'png' },
+    jpeg: { mimeType: 'image/jpeg', extension: 'jpeg' },
+};
+
+const DEFAULT_IMAGE_OPTIONS = {
+    // 'auto' keeps PNG and JPEG pages as they are and converts anything else (WebP, GIF, SVG) to PNG;
+    // 'png' and 'jpeg' re-encode every page.
+    format: 'auto',
+    quality: 85,
+    maxWidth: null,
+    trim: false,
+    mergeSpreads: false,
+};
+
+/**
+ * Validates the image options of a request and fills in the defaults.
+ * @param {object} [options] - The requested options; any subset of DEFAULT_IMAGE_OPTIONS.
+ * @returns {{error: string}|{options: object}}
+ */
+const normalizeImageOptions = (options = {}) => {
+    if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+        return { error: 'image must be an object.' };
+    }
+    const merged = { ...DEFAULT_IMAGE_OPTIONS };
+    for (const key of Object.keys(DEFAULT_IMAGE_OPTIONS)) {
+        if (options[key] !== undefined && options[key] !== null && options[key] !== '') merged[key] = options[key];
+    }
+    merged.quality = Number(merged.quality);
+    merged.maxWidth = merged.maxWidth === null ? null : Number(merged.maxWidth);
+    merged.trim = merged.trim === true || merged.trim === 'true';
+    merged.mergeSpreads = merged.mergeSpreads === true || merged.mergeSpreads === 'true';
+
+    if (merged.format !== 'auto' && !Object.prototype.hasOwnProperty.call(OUTPUT_TYPES, merged.format)) {
+        return { error: "image.format must be 'auto', 'png' or 'jpeg'." };
+    }
+    if (!Number.isInteger(merged.quality) || merged.quality < 1 || merged.quality > 100) {
+        return { error: 'image.quality must be an integer between 1 and 100.' };
+    }
+    if (merged.maxWidth !== null && (!Number.isInteger(merged.maxWidth) || merged.maxWidth < 16 || merged.maxWidth > 20000)) {
+        return { error: 'image.maxWidth must be an integer between 16 and 20000.' };
+    }
+    return { options: merged };
+};
+
+/**
+ * Groups pages into the images of the output. With `mergeSpreads`, an even page and the page after
+ * it are joined when both were fetched and both are portrait, matching the viewer's spreads
+ * (see pickEvenLeft); every other page stays on its own.
+ * @param {Array<{page: number, width: number, height: number}>} pages - The fetched pages, in order.
+ * @param {boolean} mergeSpreads - Whether to join facing pages.
+ * @returns {Array<object[]>} One array of one or two pages per output image.
+ */
+const groupSpreads = (pages, mergeSpreads) => {
+    const groups = [];
+    const isPortrait = ({ width, height }) => width > 0 && height >= width;
+    for (let i = 0; i < pages.length; i++) {
+        const current = pages[i];
+        const next = pages[i + 1];
+        if (mergeSpreads && next && current.page % 2 === 0 && next.page === current.page + 1
+            && isPortrait(current) && isPortrait(next)) {
+            groups.push([current, next]);
+            i++;
+        } else {
+            groups.push([current]);
+        }
+    }
+    return groups;
+};
+
+/**
+ * Joins two pages side by side on a white background, vertically centered.
+ * @param {Array<{path: string, width: number, height: number}>} pages - The left and right page.
+ * @returns {Promise<Buffer>} The spread as PNG.
+ */
+const joinSpread = async ([left, right]) => {
+    const height = Math.max(left.height, right.height);
+    return sharp({
+        create: { width: left.width + right.width, height, channels: 3, background: '#ffffff' },
+    })
+        .composite([
+            { input: left.path, left: 0, top: Math.round((height - left.height) / 2) },
+            { input: right.path, left: left.width, top: Math.round((height - right.height) / 2) },
+        ])
+        .png()
+        .toBuffer();
+};
+
+/**
+ * Trims, resizes and encodes one output image.
+ * @param {string|Buffer} input - The source file or image bytes.
+ * @param {{mimeType: string, extension: string}} target - The output type.
+ * @param {object} options - Normalized image options.
+ * @param {string} outputPath - The file to write, without extension.
+ * @returns {Promise<string>} The path of the written file.
+ */
+const renderImage = async (input, target, options, outputPath) => {
+    let image = sharp(input);
+    if (options.trim) {
+        // Trimming a buffer first keeps a failed trim (e.g. on an entirely blank page) from spoiling the rest.
+        try {
+            image = sharp(await image.trim({ threshold: 10 }).toBuffer());
+        } catch (error) {
+            image = sharp(input);
+        }
+    }
+    if (options.maxWidth) {
+        image = image.resize({ width: options.maxWidth, withoutEnlargement: true });
+    }
+    image = target.mimeType === 'image/jpeg'
+        // JPEG has no alpha channel; flatten transparent areas onto white instead of black.
+        ? image.flatten({ background: '#ffffff' }).jpeg({ quality: options.quality, mozjpeg: true })
+        : image.png({ compressionLevel: 9 });
+
+    const file = `${outputPath}.${target.extension}`;
+    await image.toFile(file);
+    return file;
+};
+
+/**
+ * Runs the fetched pages of a job through the image pipeline: format conversion, margin trimming,
+ * resizing and spread merging. Pages that need none of it are passed on as they are, without a copy.
+ * A page that cannot be processed is logged and also passed on unchanged.
+ * @param {object} options
+ * @param {Array<{page: number, path: string, mimeType: string, extension: string}>} options.pages -
+ *   The fetched pages, in order.
+ * @param {string} options.outputDir - An empty directory for the processed images.
+ * @param {object} options.imageOptions - Normalized image options.
+ * @param {string} [options.readingDirection='ltr'] - 'rtl' puts the later page of a spread on the left.
+ * @returns {Promise<Array<{page: number, lastPage: number, path: string, mimeType: string, extension: string}>>}
+ *   One entry per output image, in order; `lastPage` differs from `page` for merged spreads.
+ */
+const processPages = async ({ pages, outputDir, imageOptions, readingDirection = 'ltr' }) => {
+    const measured = [];
+    for (const page of pages) {
+        let size = { width: 0, height: 0 };
+        if (imageOptions.mergeSpreads) {
+            try {
+                const { width, height } = await sharp(page.path).metadata();
+                size = { width, height };
+            } catch (error) {
+                console.error(`Failed to read the size of page ${page.page}:`, error.message);
+            }
+        }
+        measured.push({ ...page, ...size });
+    }
+
+    const images = [];
+    for (const group of groupSpreads(measured, imageOptions.mergeSpreads)) {
+        const first = group[0];
+        const last = group[group.length - 1];
+        const isSpread = group.length === 2;
+        const convert = imageOptions.format !== 'auto' || !PASSTHROUGH_TYPES.includes(first.mimeType);
+
+        if (!isSpread && !convert && !imageOptions.trim && !imageOptions.maxWidth) {
+            images.push({ page: first.page, lastPage: first.page, path: first.path, mimeType: first.mimeType, extension: first.extension });
+            continue;
+        }
+
+        let target;
+        if (imageOptions.format !== 'auto') {
+            target = OUTPUT_TYPES[imageOptions.format];
+        } else if (isSpread) {
+            // Keep a spread of two JPEG pages a JPEG; anything else becomes PNG.
+            target = group.every(({ mimeType }) => mimeType === 'image/jpeg') ? OUTPUT_TYPES.jpeg : OUTPUT_TYPES.png;
+        } else {
+            target = first.mimeType === 'image/jpeg' ? OUTPUT_TYPES.jpeg : OUTPUT_TYPES.png;
+        }
+
+        const name = isSpread ? `page_${first.page}-${last.page}` : `page_${first.page}`;
+        try {
+            const input = isSpread
+                ? await joinSpread(readingDirection === 'rtl' ? [last, first] : [first, last])
+                : first.path;
+            const file = await renderImage(input, target, imageOptions, path.join(outputDir, name));
+            images.push({ page: first.page, lastPage: last.page, path: file, ...target });
+        } catch (error) {
+            console.error(`Failed to process page ${first.page}:`, error.message);
+            for (const page of group) {
+                images.push({ page: page.page, lastPage: page.page, path: page.path, mimeType: page.mimeType, extension: page.extension });
+            }
+        }
+    }
+    return images;
+};
+
+module.exports = { DEFAULT_IMAGE_OPTIONS, normalizeImageOptions, processPages };
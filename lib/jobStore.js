@@ -0,0 +1,226 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Every job lives in its own directory:
+//   <jobs dir>/<jobId>/job.json          - the job record
+//   <jobs dir>/<jobId>/pages/page_N.ext  - fetched page images, written as they arrive
+//   <jobs dir>/<jobId>/processed/        - page images after post-processing, rebuilt with each artifact
+//   <jobs dir>/<jobId>/output.<format>   - the assembled artifact
+// The jobs directory; see setJobsDir.
+let jobsDir = path.join(__dirname, '..', 'data', 'jobs');
+
+const JOB_ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+/**
+ * Moves the job store to another directory, e.g. the configured output directory. Call it before
+ * any job is created or loaded.
+ * @param {string} dir - The jobs directory.
+ */
+const setJobsDir = (dir) => {
+    jobsDir = dir;
+};
+
+const jobDir = (jobId) => path.join(jobsDir, jobId);
+const jobFile = (jobId) => path.join(jobDir(jobId), 'job.json');
+const pagesDir = (jobId) => path.join(jobDir(jobId), 'pages');
+const processedDir = (jobId) => path.join(jobDir(jobId), 'processed');
+
+/**
+ * Checks that a job ID has the expected shape, so it can safely be used as a directory name.
+ * @param {string} jobId - The job ID to check.
+ * @returns {boolean}
+ */
+const isValidJobId = (jobId) => typeof jobId === 'string' && JOB_ID_PATTERN.test(jobId);
+
+// Job ID -> the last pending write of that job.
+const pendingWrites = new Map();
+
+/**
+ * Writes the job record to disk. The file is written to a temporary path and renamed
+ * so a crash mid-write never leaves a truncated job.json behind.
+ * Saves of the same job are chained, so concurrent page workers never interleave writes,
+ * and each write serializes the job as it is at that moment.
+ * @param {object} job - The job record.
+ * @returns {Promise<object>} The saved job record.
+ */
+const saveJob = (job) => {
+    const previous = pendingWrites.get(job.id) || Promise.resolve();
+    const write = previous.catch(() => {}).then(async () => {
+        job.updatedAt = new Date().toISOString();
+        const target = jobFile(job.id);
+        const tmp = `${target}.tmp`;
+        await fs.writeFile(tmp, JSON.stringify(job, null, 2));
+        await fs.rename(tmp, target);
+        return job;
+    });
+    pendingWrites.set(job.id, write);
+    write.catch(() => {}).then(() => {
+        if (pendingWrites.get(job.id) === write) {
+            pendingWrites.delete(job.id);
+        }
+    });
+    return write;
+};
+
+/**
+ * Creates and persists a new job.
+ * @param {object} params - The request parameters (group_name, pdf, page_range, selector, output_format).
+ * @param {number[]|null} pages - The page numbers the job should fetch, or null if they are only
+ *   known once the job has detected the book length.
+ * @returns {Promise<object>} The new job record.
+ */
+const createJob = async (params, pages) => {
+    const now = new Date().toISOString();
+    const job = {
+        id: crypto.randomUUID(),
+        status: 'queued',
+        createdAt: now,
+        updatedAt: now,
+        params,
+        pages,
+        // Page number -> { file, mimeType, extension, hash? } for every page already on disk.
+        fetched: {},
+        failedPages: [],
+        // Pages that were fetched but look wrong (blank or a duplicate of the page next to them).
+        flaggedPages: [],
+        artifact: null,
+        error: null,
+    };
+    await fs.mkdir(pagesDir(job.id), { recursive: true });
+    return saveJob(job);
+};
+
+/**
+ * Loads a job record from disk.
+ * @param {string} jobId - The job ID.
+ * @returns {Promise<object|null>} The job record, or null if there is no such job.
+ */
+const loadJob = async (jobId) => {
+    if (!isValidJobId(jobId)) return null;
+    try {
+        return JSON.parse(await fs.readFile(jobFile(jobId), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+};
+
+/**
+ * Deletes a job with its pages and artifact. The job must not be queued or running.
+ * @param {string} jobId - The job ID.
+ * @returns {Promise<void>}
+ */
+const deleteJob = async (jobId) => {
+    if (!isValidJobId(jobId)) return;
+    await fs.rm(jobDir(jobId), { recursive: true, force: true });
+};
+
+/**
+ * Loads every job record on disk, oldest first.
+ * @returns {Promise<object[]>}
+ */
+const listJobs = async () => {
+    let entries;
+    try {
+        entries = await fs.readdir(jobsDir);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    const jobs = [];
+    for (const entry of entries) {
+        try {
+            const job = await loadJob(entry);
+            if (job) jobs.push(job);
+        } catch (error) {
+            console.error(`Skipping unreadable job ${entry}:`, error.message);
+        }
+    }
+    return jobs.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+};
+
+/**
+ * Writes a fetched page image to the job's pages directory and records it on the job.
+ * The caller is responsible for saving the job record afterwards.
+ * @param {object} job - The job record.
+ * @param {number} page - The page number.
+ * @param {{mimeType: string, extension: string, data: string}} imageInfo - The parsed data URI.
+ * @param {{sha256: string, dhash: string}} [hash] - The image hashes, kept to compare later pages against.
+ * @returns {Promise<void>}
+ */
+const savePage = async (job, page, imageInfo, hash) => {
+    const file = `page_${page}.${imageInfo.extension}`;
+    await fs.writeFile(path.join(pagesDir(job.id), file), Buffer.from(imageInfo.data, 'base64'));
+    job.fetched[page] = { file, mimeType: imageInfo.mimeType, extension: imageInfo.extension };
+    if (hash) {
+        job.fetched[page].hash = { sha256: hash.sha256, dhash: hash.dhash };
+    }
+};
+
+/**
+ * Reads a previously fetched page image back from disk.
+ * @param {object} job - The job record.
+ * @param {number} page - The page number.
+ * @returns {Promise<{buffer: Buffer, mimeType: string, extension: string}|null>}
+ */
+const readPage = async (job, page) => {
+    const entry = job.fetched[page];
+    if (!entry) return null;
+    const buffer = await fs.readFile(pagePath(job, page));
+    return { buffer, mimeType: entry.mimeType, extension: entry.extension };
+};
+
+/**
+ * Returns the path of a fetched page image on disk.
+ * @param {object} job - The job record.
+ * @param {number} page - The page number.
+ * @returns {string|null} The file path, or null if the page has not been fetched.
+ */
+const pagePath = (job, page) => {
+    const entry = job.fetched[page];
+    return entry ? path.join(pagesDir(job.id), entry.file) : null;
+};
+
+/**
+ * Returns the pages of a job that have not been fetched yet, in order.
+ * @param {object} job - The job record.
+ * @returns {number[]}
+ */
+const getMissingPages = (job) => (job.pages || []).filter(page => !job.fetched[page]);
+
+/**
+ * Empties the directory for a job's processed page images, creating it if needed.
+ * @param {object} job - The job record.
+ * @returns {Promise<string>} The directory path.
+ */
+const prepareProcessedDir = async (job) => {
+    const dir = processedDir(job.id);
+    await fs.rm(dir, { recursive: true, force: true });
+    await fs.mkdir(dir, { recursive: true });
+    return dir;
+};
+
+/**
+ * Returns the path the assembled artifact of a job is written to.
+ * @param {object} job - The job record.
+ * @param {string} extension - The artifact file extension (e.g. "zip").
+ * @returns {string}
+ */
+const artifactPath = (job, extension) => path.join(jobDir(job.id), `output.${extension}`);
+
+module.exports = {
+    setJobsDir,
+    isValidJobId,
+    createJob,
+    saveJob,
+    loadJob,
+    deleteJob,
+    listJobs,
+    savePage,
+    readPage,
+    pagePath,
+    getMissingPages,
+    prepareProcessedDir,
+    artifactPath,
+};
@@ -0,0 +1,37 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Creates the save function of a JSON file that is rewritten whenever its data changes, such as an
+ * index kept in memory. Each save writes a temporary file and renames it over the old one, so a
+ * crash never leaves a half-written file.
+ *
+ * Saves are chained, so writes never overlap. A save requested while another is waiting to start
+ * is folded into it: the data is read when the write starts, so the waiting save covers both.
+ *
+ * @param {string} file - The file to write.
+ * @param {function(): Promise<*>} getData - Returns what to write; called as each write starts.
+ * @param {object} [options]
+ * @param {number} [options.space] - Indentation passed to JSON.stringify.
+ * @returns {function(): Promise<void>} Saves the file; resolves once the data is on disk.
+ */
+const createJsonFileSaver = (file, getData, { space } = {}) => {
+    let saving = Promise.resolve();
+    let saveQueued = false;
+
+    return () => {
+        if (saveQueued) return saving;
+        saveQueued = true;
+        saving = saving.catch(() => {}).then(async () => {
+            saveQueued = false;
+            const data = await getData();
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            const tmp = `${file}.tmp`;
+            await fs.writeFile(tmp, JSON.stringify(data, null, space));
+            await fs.rename(tmp, file);
+        });
+        return saving;
+    };
+};
+
+module.exports = { createJsonFileSaver };
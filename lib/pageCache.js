@@ -0,0 +1,251 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const { createJsonFileSaver } = require('./jsonFile');
+
+/**
+ * Creates a disk cache of fetched page images, shared by every job and test download.
+ *
+ * Images are stored content-addressed, once per distinct image, under `<dir>/blobs/<sha256>`.
+ * `<dir>/index.json` maps each page (adapter, book, page number and selector) to its blob, MIME type
+ * and access times. Entries older than `ttlMs` are treated as missing, and once the blobs take more
+ * than `maxBytes` the least recently used entries are evicted.
+ *
+ * @param {object} options
+ * @param {string} options.dir - The cache directory.
+ * @param {number} [options.maxBytes=1073741824] - The size limit of all blobs together; 0 disables the cache.
+ * @param {number} [options.ttlMs=604800000] - How long an entry is served after it was stored.
+ * @returns {object} The cache: { get, set, remove, stats, purge }.
+ */
+const createPageCache = ({ dir, maxBytes = 1024 * 1024 * 1024, ttlMs = 7 * 24 * 60 * 60 * 1000 }) => {
+    const indexFile = path.join(dir, 'index.json');
+    const blobsDir = path.join(dir, 'blobs');
+    const enabled = maxBytes > 0;
+    let indexPromise = null;
+
+    /**
+     * Builds the index key of a page.
+     * @param {{adapter: string, group_name: string, pdf: string, page: number, selector: string}} page
+     * @returns {string}
+     */
+    const keyOf = ({ adapter, group_name, pdf, page, selector }) => JSON.stringify([adapter, group_name, pdf, page, selector]);
+
+    const blobPath = (sha256) => path.join(blobsDir, sha256);
+
+    const loadIndex = () => {
+        if (!indexPromise) {
+            indexPromise = fs.readFile(indexFile, 'utf8')
+                .then(text => JSON.parse(text).entries || {})
+                .catch(error => {
+                    if (error.code !== 'ENOENT') {
+                        console.error('Page cache index is unreadable; starting with an empty cache:', error.message);
+                    }
+                    return {};
+                });
+        }
+        return indexPromise;
+    };
+
+    const saveIndex = createJsonFileSaver(indexFile, async () => ({ entries: await loadIndex() }));
+
+    const isExpired = (entry, now = Date.now()) => now - entry.storedAt > ttlMs;
+
+    /**
+     * Deletes the given index entries, and every blob no other entry refers to.
+     * @param {object} entries - The index.
+     * @param {string[]} keys - The keys to delete.
+     * @returns {Promise<number>} The bytes freed.
+     */
+    const removeEntries = async (entries, keys) => {
+        const candidates = new Map();
+        for (const key of keys) {
+            const entry = entries[key];
+            if (!entry) continue;
+            candidates.set(entry.sha256, entry.size);
+            delete entries[key];
+        }
+        for (const entry of Object.values(entries)) {
+            candidates.delete(entry.sha256);
+        }
+        let freed = 0;
+        for (const [sha256, size] of candidates) {
+            await fs.rm(blobPath(sha256), { force: true });
+            freed += size;
+        }
+        return freed;
+    };
+
+    /**
+     * Returns the total size of the distinct blobs referenced by the index.
+     * @param {object} entries - The index.
+     * @returns {number}
+     */
+    const totalBytes = (entries) => {
+        const sizes = new Map();
+        for (const entry of Object.values(entries)) sizes.set(entry.sha256, entry.size);
+        let total = 0;
+        for (const size of sizes.values()) total += size;
+        return total;
+    };
+
+    /**
+     * Drops expired entries, then the least recently used ones until the cache fits its size limit.
+     * @param {object} entries - The index.
+     * @returns {Promise<void>}
+     */
+    const enforceLimits = async (entries) => {
+        const now = Date.now();
+        await removeEntries(entries, Object.keys(entries).filter(key => isExpired(entries[key], now)));
+
+        const byAge = Object.keys(entries).sort((a, b) => entries[a].accessedAt - entries[b].accessedAt);
+        let total = totalBytes(entries);
+        while (total > maxBytes && byAge.length > 0) {
+            total -= await removeEntries(entries, [byAge.shift()]);
+        }
+    };
+
+    /**
+     * Looks up a cached page.
+     * @param {object} page - The adapter, group_name, pdf, page and selector of the page.
+     * @returns {Promise<{mimeType: string, extension: string, data: string}|null>} The image in the
+     *   shape of a parsed data URI, or null if the page is not cached.
+     */
+    const get = async (page) => {
+        if (!enabled) return null;
+        const entries = await loadIndex();
+        const key = keyOf(page);
+        const entry = entries[key];
+        if (!entry) return null;
+        if (isExpired(entry)) {
+            await removeEntries(entries, [key]);
+            saveIndex().catch(error => console.error('Failed to save the page cache index:', error.message));
+            return null;
+        }
+
+        let buffer;
+        try {
+            buffer = await fs.readFile(blobPath(entry.sha256));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            // The blob was removed behind our back; forget the entry, also after a restart.
+            delete entries[key];
+            saveIndex().catch(error => console.error('Failed to save the page cache index:', error.message));
+            return null;
+        }
+        entry.accessedAt = Date.now();
+        entry.hits = (entry.hits || 0) + 1;
+        saveIndex().catch(error => console.error('Failed to save the page cache index:', error.message));
+        return { mimeType: entry.mimeType, extension: entry.extension, data: buffer.toString('base64') };
+    };
+
+    /**
+     * Stores a fetched page.
+     * @param {object} page - The adapter, group_name, pdf, page and selector of the page.
+     * @param {{mimeType: string, extension: string, data: string}} imageInfo - The parsed data URI.
+     * @returns {Promise<void>}
+     */
+    const set = async (page, imageInfo) => {
+        if (!enabled) return;
+        const entries = await loadIndex();
+        const buffer = Buffer.from(imageInfo.data, 'base64');
+        const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+
+        await fs.mkdir(blobsDir, { recursive: true });
+        const target = blobPath(sha256);
+        const tmp = `${target}.${crypto.randomUUID()}.tmp`;
+        await fs.writeFile(tmp, buffer);
+        await fs.rename(tmp, target);
+
+        const now = Date.now();
+        const previous = entries[keyOf(page)];
+        if (previous && previous.sha256 !== sha256) {
+            await removeEntries(entries, [keyOf(page)]);
+        }
+        entries[keyOf(page)] = {
+            adapter: page.adapter,
+            group_name: page.group_name,
+            pdf: page.pdf,
+            page: page.page,
+            selector: page.selector,
+            sha256,
+            size: buffer.length,
+            mimeType: imageInfo.mimeType,
+            extension: imageInfo.extension,
+            storedAt: now,
+            accessedAt: now,
+            hits: 0,
+        };
+        await enforceLimits(entries);
+        await saveIndex();
+    };
+
+    /**
+     * Forgets one page, e.g. after the cached image turned out to be wrong.
+     * @param {object} page - The adapter, group_name, pdf, page and selector of the page.
+     * @returns {Promise<void>}
+     */
+    const remove = async (page) => {
+        if (!enabled) return;
+        const entries = await loadIndex();
+        if (!entries[keyOf(page)]) return;
+        await removeEntries(entries, [keyOf(page)]);
+        await saveIndex();
+    };
+
+    /**
+     * Tells whether an entry matches a filter on adapter, group_name and pdf; missing fields match anything.
+     * @param {object} entry - An index entry.
+     * @param {{adapter?: string, group_name?: string, pdf?: string}} filter
+     * @returns {boolean}
+     */
+    const matches = (entry, filter) => ['adapter', 'group_name', 'pdf'].every(field => !filter[field] || entry[field] === filter[field]);
+
+    /**
+     * Describes the cache contents, one line per cached book.
+     * @param {{adapter?: string, group_name?: string, pdf?: string}} [filter] - Limits the books listed.
+     * @returns {Promise<object>}
+     */
+    const stats = async (filter = {}) => {
+        const entries = enabled ? await loadIndex() : {};
+        const books = new Map();
+        for (const entry of Object.values(entries)) {
+            if (!matches(entry, filter)) continue;
+            const key = `${entry.adapter}/${entry.group_name}/${entry.pdf}`;
+            if (!books.has(key)) {
+                books.set(key, { adapter: entry.adapter, group_name: entry.group_name, pdf: entry.pdf, pages: 0, bytes: 0, hits: 0, storedAt: entry.storedAt });
+            }
+            const book = books.get(key);
+            book.pages++;
+            book.bytes += entry.size;
+            book.hits += entry.hits || 0;
+            book.storedAt = Math.min(book.storedAt, entry.storedAt);
+        }
+        return {
+            enabled,
+            maxBytes,
+            ttlMs,
+            entries: Object.keys(entries).length,
+            totalBytes: totalBytes(entries),
+            books: Array.from(books.values()).map(book => ({ ...book, storedAt: new Date(book.storedAt).toISOString() })),
+        };
+    };
+
+    /**
+     * Removes every entry matching the filter (all entries if the filter is empty).
+     * @param {{adapter?: string, group_name?: string, pdf?: string}} [filter]
+     * @returns {Promise<{removedEntries: number, freedBytes: number}>}
+     */
+    const purge = async (filter = {}) => {
+        if (!enabled) return { removedEntries: 0, freedBytes: 0 };
+        const entries = await loadIndex();
+        const keys = Object.keys(entries).filter(key => matches(entries[key], filter));
+        const freedBytes = await removeEntries(entries, keys);
+        await saveIndex();
+        return { removedEntries: keys.length, freedBytes };
+    };
+
+    return { get, set, remove, stats, purge };
+};
+
+module.exports = { createPageCache };
@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// Width of the difference hash; the image is scaled to (HASH_SIZE + 1) x HASH_SIZE, giving HASH_SIZE² bits.
+const HASH_SIZE = 16;
+// Neighbouring pixels of the small copy that differ by at most this many grey levels count as
+// equal, so flat areas hash the same however the image was compressed.
+const FLAT_MARGIN = 2;
+// Pages whose perceptual hashes differ in at most this many bits count as the same image.
+// Coarse enough to ignore re-encoding, fine enough that two pages of text still differ.
+const MAX_DUPLICATE_DISTANCE = 12;
+// A page whose grey levels have a standard deviation below this (out of 255) is near-blank:
+// a white loading frame or a placeholder rather than a page.
+const MAX_BLANK_STDEV = 2;
+
+/**
+ * Hashes a page image: a SHA-256 of the bytes for exact duplicates, and a difference hash of a
+ * small greyscale copy for images that look the same but were encoded differently.
+ * @param {Buffer} buffer - The image bytes.
+ * @returns {Promise<{sha256: string, dhash: string, blank: boolean}>}
+ */
+const hashPage = async (buffer) => {
+    const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+    const { data } = await sharp(buffer)
+        .flatten({ background: '#ffffff' })
+        .greyscale()
+        .resize(HASH_SIZE + 1, HASH_SIZE, { fit: 'fill' })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    let bits = '';
+    for (let y = 0; y < HASH_SIZE; y++) {
+        for (let x = 0; x < HASH_SIZE; x++) {
+            const offset = y * (HASH_SIZE + 1) + x;
+            bits += data[offset] + FLAT_MARGIN < data[offset + 1] ? '1' : '0';
+        }
+    }
+    const dhash = BigInt(`0b${bits}`).toString(16).padStart(HASH_SIZE * HASH_SIZE / 4, '0');
+
+    // Statistics are taken from the original image, one entry per channel. A single-pixel image
+    // has a NaN deviation, and is blank too.
+    const { channels } = await sharp(buffer).stats();
+    return { sha256, dhash, blank: channels.every(({ stdev }) => !(stdev >= MAX_BLANK_STDEV)) };
+};
+
+/**
+ * Counts the bits that differ between two hex-encoded hashes of the same length.
+ * @param {string} a - A hash.
+ * @param {string} b - Another hash.
+ * @returns {number}
+ */
+const hammingDistance = (a, b) => {
+    let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let count = 0;
+    while (diff > 0n) {
+        count += Number(diff & 1n);
+        diff >>= 1n;
+    }
+    return count;
+};
+
+/**
+ * Tells whether two page hashes are of the same image, exactly or perceptually.
+ * @param {{sha256: string, dhash: string}} a - A page hash.
+ * @param {{sha256: string, dhash: string}} b - Another page hash.
+ * @returns {boolean}
+ */
+const isDuplicate = (a, b) => a.sha256 === b.sha256 || hammingDistance(a.dhash, b.dhash) <= MAX_DUPLICATE_DISTANCE;
+
+module.exports = { hashPage, hammingDistance, isDuplicate };
@@ -0,0 +1,160 @@
+// Page selection syntax shared by the server and the web UI (served as /lib/pageRange.js).
+//
+// A selection is a comma-separated list of entries:
+//   5          a single page
+//   1-10       an inclusive range
+//   30-        an open-ended range, up to the last page of the book
+//   1-99:2     a range with a step (here: odd pages only)
+//   !50-55     an exclusion; any of the forms above may be prefixed with "!"
+//   all        the whole book, same as "1-"
+// Example: "1-100,!50-55,120-:2"
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PageRange = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    // Guards against selections like "1-99999999" that would expand into a huge array.
+    const MAX_PAGES = 100000;
+
+    const ENTRY_PATTERN = /^(!)?(\d+)(?:(-)(\d+)?)?(?::(\d+))?$/;
+
+    /**
+     * An invalid page selection. `token` is the entry that could not be used, if any.
+     */
+    class PageRangeError extends Error {
+        constructor(message, token) {
+            super(message);
+            this.name = 'PageRangeError';
+            this.token = token;
+        }
+    }
+
+    /**
+     * Parses a page selection into its include and exclude entries without expanding it.
+     * @param {string} rangeStr - The page selection.
+     * @returns {{include: object[], exclude: object[]}} Entries of the form { start, end, step, token };
+     *   `end` is null for open-ended ranges.
+     * @throws {PageRangeError} If any entry is malformed.
+     */
+    const parsePageSpec = (rangeStr) => {
+        if (typeof rangeStr !== 'string' || rangeStr.trim() === '') {
+            throw new PageRangeError('Page range is empty.');
+        }
+
+        const spec = { include: [], exclude: [] };
+        for (const rawToken of rangeStr.split(',')) {
+            const token = rawToken.replace(/\s+/g, '');
+            if (token === '') {
+                throw new PageRangeError(`Empty entry in page range '${rangeStr}'.`, rawToken);
+            }
+
+            const match = (token.toLowerCase() === 'all' ? '1-' : token).match(ENTRY_PATTERN);
+            if (!match) {
+                throw new PageRangeError(`'${token}' is not a page number or range (expected e.g. 5, 1-10, 30-, 1-99:2 or !50-55).`, token);
+            }
+
+            const [, negated, startStr, dash, endStr, stepStr] = match;
+            const start = Number(startStr);
+            const end = dash ? (endStr === undefined ? null : Number(endStr)) : start;
+            const step = stepStr === undefined ? 1 : Number(stepStr);
+
+            if (start < 1) {
+                throw new PageRangeError(`'${token}': page numbers start at 1.`, token);
+            }
+            if (end !== null && end < start) {
+                throw new PageRangeError(`'${token}': range ends before it starts.`, token);
+            }
+            if (stepStr !== undefined && !dash) {
+                throw new PageRangeError(`'${token}': a step can only be used with a range.`, token);
+            }
+            if (step < 1) {
+                throw new PageRangeError(`'${token}': step must be at least 1.`, token);
+            }
+
+            (negated ? spec.exclude : spec.include).push({ start, end, step, token });
+        }
+
+        if (spec.include.length === 0) {
+            throw new PageRangeError(`Page range '${rangeStr}' only excludes pages; add the pages to include.`);
+        }
+        return spec;
+    };
+
+    /**
+     * Checks whether a page selection contains an open-ended range such as "30-" or "all".
+     * @param {string} rangeStr - The page selection.
+     * @returns {boolean}
+     * @throws {PageRangeError} If any entry is malformed.
+     */
+    const isOpenEnded = (rangeStr) => parsePageSpec(rangeStr).include.some(entry => entry.end === null);
+
+    const entryContains = (entry, page) =>
+        page >= entry.start && (entry.end === null || page <= entry.end) && (page - entry.start) % entry.step === 0;
+
+    /**
+     * Parses a page selection into a sorted list of unique page numbers.
+     * @param {string} rangeStr - The page selection.
+     * @param {object} [options]
+     * @param {number} [options.lastPage] - The last page of the book; required for open-ended ranges.
+     * @returns {number[]} An array of page numbers.
+     * @throws {PageRangeError} If the selection is malformed or selects no pages.
+     */
+    const parsePageRange = (rangeStr, { lastPage } = {}) => {
+        const spec = parsePageSpec(rangeStr);
+        const pages = new Set();
+
+        for (const entry of spec.include) {
+            let end = entry.end;
+            if (end === null) {
+                if (!lastPage) {
+                    throw new PageRangeError(`'${entry.token}': an open-ended range needs the last page of the book.`, entry.token);
+                }
+                end = lastPage;
+            }
+            if ((end - entry.start) / entry.step + pages.size > MAX_PAGES) {
+                throw new PageRangeError(`'${entry.token}': selects more than ${MAX_PAGES} pages.`, entry.token);
+            }
+            for (let page = entry.start; page <= end; page += entry.step) {
+                pages.add(page);
+            }
+        }
+
+        const result = Array.from(pages)
+            .filter(page => !spec.exclude.some(entry => entryContains(entry, page)))
+            .sort((a, b) => a - b);
+
+        if (result.length === 0) {
+            throw new PageRangeError(`Page range '${rangeStr}' does not select any pages.`);
+        }
+        return result;
+    };
+
+    /**
+     * Returns the first page a selection includes, without needing the book length.
+     * @param {string} rangeStr - The page selection.
+     * @returns {number}
+     * @throws {PageRangeError} If the selection is malformed or selects no pages.
+     */
+    const getFirstPage = (rangeStr) => {
+        const spec = parsePageSpec(rangeStr);
+        const candidates = [];
+        for (const entry of spec.include) {
+            // Walk the entry until a page survives the exclusions; bounded by MAX_PAGES for open-ended entries.
+            const end = entry.end === null ? entry.start + MAX_PAGES * entry.step : entry.end;
+            for (let page = entry.start; page <= end; page += entry.step) {
+                if (!spec.exclude.some(excluded => entryContains(excluded, page))) {
+                    candidates.push(page);
+                    break;
+                }
+            }
+        }
+        if (candidates.length === 0) {
+            throw new PageRangeError(`Page range '${rangeStr}' does not select any pages.`);
+        }
+        return Math.min(...candidates);
+    };
+
+    return { PageRangeError, parsePageSpec, parsePageRange, isOpenEnded, getFirstPage, MAX_PAGES };
+}));
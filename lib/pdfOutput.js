@@ -0,0 +1,195 @@
+const { PDFDocument, PDFHexString, PDFName, StandardFonts, rgb } = require('pdf-lib');
+
+// Used for placeholder pages when no fetched page gives a better size (A4 in points).
+const DEFAULT_PAGE_SIZE = [595, 842];
+
+/**
+ * Embeds an image in the document if pdf-lib supports its type.
+ * @param {PDFDocument} pdfDoc - The document.
+ * @param {{buffer: Buffer, mimeType: string}} image - The image.
+ * @returns {Promise<object|null>} The embedded image, or null for unsupported types.
+ */
+const embedImage = async (pdfDoc, { buffer, mimeType }) => {
+    if (mimeType === 'image/png') {
+        return pdfDoc.embedPng(buffer);
+    }
+    if (mimeType === 'image/jpeg' || mimeType === 'image/jpg') {
+        return pdfDoc.embedJpg(buffer);
+    }
+    return null;
+};
+
+/**
+ * Adds a page saying that the given page could not be downloaded.
+ * @param {PDFDocument} pdfDoc - The document.
+ * @param {object} font - The embedded font for the label.
+ * @param {number} pageNumber - The original page number.
+ * @param {number[]} size - The page size in points.
+ */
+const addPlaceholderPage = (pdfDoc, font, pageNumber, [width, height]) => {
+    const pdfPage = pdfDoc.addPage([width, height]);
+    const lines = [`Page ${pageNumber}`, 'could not be downloaded'];
+    const fontSize = Math.max(12, Math.round(width / 20));
+    lines.forEach((line, i) => {
+        const textWidth = font.widthOfTextAtSize(line, fontSize);
+        pdfPage.drawText(line, {
+            x: (width - textWidth) / 2,
+            y: height / 2 + fontSize * (0.5 - i * 1.5),
+            size: fontSize,
+            font,
+            color: rgb(0.5, 0.5, 0.5),
+        });
+    });
+};
+
+/**
+ * Labels the pages of the document with their original page numbers, so a document
+ * made from pages 45-120 shows page 45 first in PDF readers. Every run of consecutive
+ * page numbers becomes one label range.
+ * @param {PDFDocument} pdfDoc - The document.
+ * @param {number[]} pageNumbers - The original page number of each document page, in order.
+ */
+const setPageLabels = (pdfDoc, pageNumbers) => {
+    const nums = [];
+    pageNumbers.forEach((pageNumber, index) => {
+        if (index === 0 || pageNumber !== pageNumbers[index - 1] + 1) {
+            nums.push(index, pdfDoc.context.obj({ S: 'D', St: pageNumber }));
+        }
+    });
+    pdfDoc.catalog.set(PDFName.of('PageLabels'), pdfDoc.context.obj({ Nums: nums }));
+};
+
+/**
+ * Adds a flat outline (bookmark list) to the document.
+ * @param {PDFDocument} pdfDoc - The document.
+ * @param {Array<{title: string, pageIndex: number}>} bookmarks - The bookmarks, in order.
+ */
+const setOutline = (pdfDoc, bookmarks) => {
+    const { context, catalog } = pdfDoc;
+    const pages = pdfDoc.getPages();
+    const outlineRef = context.nextRef();
+    const itemRefs = bookmarks.map(() => context.nextRef());
+
+    bookmarks.forEach(({ title, pageIndex }, i) => {
+        const item = context.obj({
+            Title: PDFHexString.fromText(title),
+            Parent: outlineRef,
+            Dest: [pages[pageIndex].ref, 'Fit'],
+        });
+        if (i > 0) item.set(PDFName.of('Prev'), itemRefs[i - 1]);
+        if (i < bookmarks.length - 1) item.set(PDFName.of('Next'), itemRefs[i + 1]);
+        context.assign(itemRefs[i], item);
+    });
+
+    context.assign(outlineRef, context.obj({
+        Type: 'Outlines',
+        First: itemRefs[0],
+        Last: itemRefs[itemRefs.length - 1],
+        Count: bookmarks.length,
+    }));
+    catalog.set(PDFName.of('Outlines'), outlineRef);
+    catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+};
+
+/**
+ * Builds a PDF with one page per image, in the order given.
+ * @param {object} options
+ * @param {number[]} options.pages - The original page numbers to include, in order.
+ * @param {function(number): Promise<{buffer: Buffer, mimeType: string, lastPage?: number}|null>} options.readPage -
+ *   Loads a page image; resolves to null for pages that were not downloaded. An image with a
+ *   `lastPage` (a merged spread) also stands for the pages up to it, which are then skipped.
+ * @param {{title?: string, author?: string, subject?: string}} [options.metadata] - Document properties.
+ * @param {Array<{title: string, start: number, end?: number}>} [options.chapters] - One bookmark per chapter,
+ *   pointing at the first page of the chapter that is in the document.
+ * @param {boolean} [options.placeholders=false] - Add a labeled page for each missing page, so later
+ *   page numbers stay aligned.
+ * @returns {Promise<{bytes: Uint8Array, pageCount: number}>}
+ */
+const buildPdf = async ({ pages, readPage, metadata = {}, chapters = [], placeholders = false }) => {
+    const pdfDoc = await PDFDocument.create();
+    const font = placeholders ? await pdfDoc.embedFont(StandardFonts.Helvetica) : null;
+    // The original page number of each page added to the document.
+    const pageNumbers = [];
+    let lastSize = DEFAULT_PAGE_SIZE;
+    // The last page number shown by the previous image.
+    let coveredThrough = 0;
+
+    for (const page of pages) {
+        if (page <= coveredThrough) continue;
+        let image = null;
+        try {
+            const pageImage = await readPage(page);
+            if (pageImage) {
+                coveredThrough = pageImage.lastPage || page;
+                image = await embedImage(pdfDoc, pageImage);
+                if (!image) {
+                    console.warn(`Skipping unsupported image type for PDF: ${pageImage.mimeType}`);
+                }
+            }
+        } catch (pdfError) {
+            console.error(`Failed to embed page ${page} into PDF:`, pdfError.message);
+        }
+
+        if (image) {
+            const pdfPage = pdfDoc.addPage([image.width, image.height]);
+            pdfPage.drawImage(image, { x: 0, y: 0, width: image.width, height: image.height });
+            lastSize = [image.width, image.height];
+            pageNumbers.push(page);
+        } else if (placeholders) {
+            addPlaceholderPage(pdfDoc, font, page, lastSize);
+            pageNumbers.push(page);
+        }
+    }
+
+    if (metadata.title) pdfDoc.setTitle(metadata.title, { showInWindowTitleBar: true });
+    if (metadata.author) pdfDoc.setAuthor(metadata.author);
+    if (metadata.subject) pdfDoc.setSubject(metadata.subject);
+    pdfDoc.setCreator('Impress Viewer Downloader');
+
+    if (pageNumbers.length > 0) {
+        setPageLabels(pdfDoc, pageNumbers);
+
+        const bookmarks = chapters
+            .map(({ title, start, end }) => ({
+                title,
+                pageIndex: pageNumbers.findIndex(n => n >= start && (end === undefined || n <= end)),
+            }))
+            .filter(bookmark => bookmark.pageIndex !== -1)
+            .sort((a, b) => a.pageIndex - b.pageIndex);
+        if (bookmarks.length > 0) {
+            setOutline(pdfDoc, bookmarks);
+        }
+    }
+
+    return { bytes: await pdfDoc.save(), pageCount: pageNumbers.length };
+};
+
+/**
+ * Validates the chapter list of a request.
+ * @param {*} chapters - The requested chapters; an array of { title, start, end? }.
+ * @returns {{error: string}|{chapters: Array<{title: string, start: number, end?: number}>}}
+ */
+const normalizeChapters = (chapters = []) => {
+    if (!Array.isArray(chapters)) {
+        return { error: 'chapters must be an array of { title, start, end }.' };
+    }
+    const normalized = [];
+    for (const [i, chapter] of chapters.entries()) {
+        const title = chapter && typeof chapter.title === 'string' ? chapter.title.trim() : '';
+        const start = Number(chapter && chapter.start);
+        const end = chapter && chapter.end !== undefined && chapter.end !== null ? Number(chapter.end) : undefined;
+        if (!title) {
+            return { error: `chapters[${i}]: title is required.` };
+        }
+        if (!Number.isInteger(start) || start < 1) {
+            return { error: `chapters[${i}]: start must be a page number.` };
+        }
+        if (end !== undefined && (!Number.isInteger(end) || end < start)) {
+            return { error: `chapters[${i}]: end must be a page number no smaller than start.` };
+        }
+        normalized.push(end === undefined ? { title, start } : { title, start, end });
+    }
+    return { chapters: normalized };
+};
+
+module.exports = { buildPdf, normalizeChapters };
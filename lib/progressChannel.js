@@ -0,0 +1,122 @@
+/**
+ * Creates the channel that carries job progress to browsers as Server-Sent Events.
+ *
+ * Events are published to named topics, such as one per job. Each event gets an ID that increases
+ * within its topic and is kept in a bounded buffer, so a client that connects late, or reconnects
+ * with `Last-Event-ID`, is sent what it missed. IDs look like `<epoch>-<n>`; the epoch changes
+ * when the server restarts, so an ID from before a restart is never mistaken for a newer one. Any
+ * number of responses can watch the same topic. Every `heartbeatMs` each stream gets a comment
+ * line, which keeps proxies from closing idle connections; topics that nobody has watched or
+ * published to for `retentionMs` are dropped.
+ *
+ * @param {object} [options]
+ * @param {number} [options.bufferSize=2000] - Events kept per topic for replay.
+ * @param {number} [options.heartbeatMs=15000] - Interval of the heartbeat comments.
+ * @param {number} [options.retentionMs=900000] - How long an unwatched topic is kept after its last activity.
+ * @param {number} [options.retryMs=2000] - The reconnect delay suggested to EventSource clients.
+ * @returns {object} The channel: { publish, watch, close }.
+ */
+const createProgressChannel = ({
+    bufferSize = 2000,
+    heartbeatMs = 15000,
+    retentionMs = 15 * 60 * 1000,
+    retryMs = 2000,
+} = {}) => {
+    const topics = new Map();
+    const epoch = Date.now().toString(36);
+
+    const getTopic = (name) => {
+        if (!topics.has(name)) {
+            topics.set(name, { nextId: 1, events: [], watchers: new Set(), touchedAt: Date.now() });
+        }
+        return topics.get(name);
+    };
+
+    /**
+     * Writes one event to a stream. Events without an ID (snapshots, gap notices) do not move the
+     * client's Last-Event-ID.
+     * @param {object} res - The SSE response.
+     * @param {{id?: number, data: object}} event
+     */
+    const writeEvent = (res, { id, data }) => {
+        const idLine = id === undefined ? '' : `id: ${epoch}-${id}\n`;
+        res.write(`${idLine}data: ${JSON.stringify(data)}\n\n`);
+    };
+
+    /**
+     * Numbers an event, buffers it and sends it to everyone watching the topic.
+     * @param {string} name - The topic.
+     * @param {object} data - The event payload.
+     * @returns {number} The event number within the topic.
+     */
+    const publish = (name, data) => {
+        const topic = getTopic(name);
+        const event = { id: topic.nextId++, data };
+        topic.events.push(event);
+        if (topic.events.length > bufferSize) topic.events.shift();
+        topic.touchedAt = Date.now();
+        topic.watchers.forEach(res => writeEvent(res, event));
+        return event.id;
+    };
+
+    /**
+     * Turns a request into an event stream of a topic. The stream starts with `initialEvents`, then
+     * replays the buffered events after `lastEventId`, then follows new events until the client
+     * goes away. If some of the missed events are no longer buffered, a `{type: 'gap'}` event says
+     * so, and the client should reload the state it keeps.
+     * @param {string} name - The topic.
+     * @param {object} req - The request; the stream ends when it closes.
+     * @param {object} res - The response to stream to.
+     * @param {object} [options]
+     * @param {string|number} [options.lastEventId] - The ID of the last event the client saw.
+     * @param {object[]} [options.initialEvents] - Unnumbered events to send first, e.g. a snapshot.
+     */
+    const watch = (name, req, res, { lastEventId, initialEvents = [] } = {}) => {
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+        // Keeps nginx from buffering the stream.
+        res.setHeader('X-Accel-Buffering', 'no');
+        res.flushHeaders();
+        res.write(`retry: ${retryMs}\n\n`);
+
+        initialEvents.forEach(data => writeEvent(res, { data }));
+
+        const topic = getTopic(name);
+        const [lastEpoch, lastNumber] = String(lastEventId || '').split('-');
+        let after = Number(lastNumber);
+        if (!lastEventId) {
+            after = 0;
+        } else if (lastEpoch !== epoch || !Number.isInteger(after) || after >= topic.nextId) {
+            // The client saw events of an earlier server process; replay everything there is.
+            writeEvent(res, { data: { type: 'gap' } });
+            after = 0;
+        } else if (after > 0 && topic.events.length > 0 && topic.events[0].id > after + 1) {
+            writeEvent(res, { data: { type: 'gap' } });
+        }
+        topic.events.filter(event => event.id > after).forEach(event => writeEvent(res, event));
+
+        topic.watchers.add(res);
+        topic.touchedAt = Date.now();
+        req.on('close', () => {
+            topic.watchers.delete(res);
+            topic.touchedAt = Date.now();
+        });
+    };
+
+    const heartbeat = setInterval(() => {
+        const now = Date.now();
+        for (const [name, topic] of topics) {
+            topic.watchers.forEach(res => res.write(': heartbeat\n\n'));
+            if (topic.watchers.size === 0 && now - topic.touchedAt > retentionMs) {
+                topics.delete(name);
+            }
+        }
+    }, heartbeatMs);
+    // The heartbeat alone must not keep the process alive.
+    heartbeat.unref();
+
+    return { publish, watch, close: () => clearInterval(heartbeat) };
+};
+
+module.exports = { createProgressChannel };
@@ -0,0 +1,42 @@
+/**
+ * Creates a token-bucket rate limiter with one bucket per key (e.g. per viewer host).
+ * Each bucket refills at `ratePerSecond` tokens per second and holds at most `burst` tokens.
+ * Callers that find the bucket empty reserve the next token and wait for it, so requests
+ * for the same key are spread out evenly no matter how many jobs are running.
+ * @param {object} [options]
+ * @param {number} [options.ratePerSecond=1] - Tokens added per second.
+ * @param {number} [options.burst=1] - Bucket capacity.
+ * @returns {{acquire: function(string): Promise<void>}}
+ */
+const createRateLimiter = ({ ratePerSecond = 1, burst = 1 } = {}) => {
+    const buckets = new Map();
+
+    /**
+     * Resolves once a request for the given key may be made.
+     * @param {string} key - The bucket key.
+     * @returns {Promise<void>}
+     */
+    const acquire = (key) => {
+        const now = Date.now();
+        let bucket = buckets.get(key);
+        if (!bucket) {
+            bucket = { tokens: burst, updatedAt: now };
+            buckets.set(key, bucket);
+        }
+
+        bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * ratePerSecond);
+        bucket.updatedAt = now;
+
+        // Take the token even if it is not there yet; a negative balance is the queue of waiting callers.
+        bucket.tokens -= 1;
+        if (bucket.tokens >= 0) {
+            return Promise.resolve();
+        }
+        const waitMs = (-bucket.tokens / ratePerSecond) * 1000;
+        return new Promise(resolve => setTimeout(resolve, waitMs));
+    };
+
+    return { acquire };
+};
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,142 @@
+const { setTimeout: sleep } = require('timers/promises');
+
+/**
+ * The ways fetching a page can fail. Retryable classes are usually transient
+ * (slow network, a carousel that has not moved yet); the others will fail the same way again.
+ */
+const FAILURE_CLASSES = {
+    NAVIGATION_TIMEOUT: { name: 'navigation_timeout', retryable: true },
+    NAVIGATION_FAILED: { name: 'navigation_failed', retryable: true },
+    SELECTOR_NOT_FOUND: { name: 'selector_not_found', retryable: true },
+    IMAGE_COUNT: { name: 'image_count', retryable: true },
+    PAGE_CLOSED: { name: 'page_closed', retryable: true },
+    // The page loaded but shows the wrong image: a loading frame, or the page next to it.
+    BLANK_PAGE: { name: 'blank_page', retryable: true },
+    DUPLICATE_PAGE: { name: 'duplicate_page', retryable: true },
+    INVALID_DATA_URI: { name: 'invalid_data_uri', retryable: false },
+    // The owner of the job has fetched as many pages as the server allows per day.
+    QUOTA_EXCEEDED: { name: 'quota_exceeded', retryable: false },
+    UNKNOWN: { name: 'unknown', retryable: false },
+};
+
+/**
+ * An error raised while fetching a page, tagged with its failure class.
+ */
+class PageFetchError extends Error {
+    /**
+     * @param {{name: string, retryable: boolean}} failureClass - One of FAILURE_CLASSES.
+     * @param {string} message - A human-readable reason.
+     */
+    constructor(failureClass, message) {
+        super(message);
+        this.name = 'PageFetchError';
+        this.failureClass = failureClass;
+    }
+}
+
+/**
+ * Maps any error thrown while fetching a page to its failure class.
+ * @param {Error} error - The error.
+ * @returns {{name: string, retryable: boolean}}
+ */
+const classifyError = (error) => {
+    if (error instanceof PageFetchError) return error.failureClass;
+    if (error.name === 'TimeoutError') return FAILURE_CLASSES.NAVIGATION_TIMEOUT;
+    if (/Target closed|Session closed|detached Frame|Protocol error/i.test(error.message)) {
+        return FAILURE_CLASSES.PAGE_CLOSED;
+    }
+    if (/net::ERR_/.test(error.message)) return FAILURE_CLASSES.NAVIGATION_FAILED;
+    return FAILURE_CLASSES.UNKNOWN;
+};
+
+const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 3,
+    baseDelayMs: 2000,
+    maxDelayMs: 30000,
+    // Fraction of each delay that is randomized, so parallel workers do not retry in lockstep.
+    jitter: 0.5,
+};
+
+// The longest wait between attempts a request may ask for; a retrying job holds a queue slot and a
+// browser page all the while.
+const MAX_RETRY_DELAY_MS = 60000;
+
+/**
+ * Validates a retry policy from a request and fills in defaults.
+ * @param {object} [policy] - The requested policy; any field may be omitted.
+ * @returns {{error: string}|{policy: object}}
+ */
+const normalizeRetryPolicy = (policy = {}) => {
+    if (typeof policy !== 'object' || policy === null || Array.isArray(policy)) {
+        return { error: 'retry must be an object.' };
+    }
+    const merged = { ...DEFAULT_RETRY_POLICY };
+    for (const key of Object.keys(DEFAULT_RETRY_POLICY)) {
+        if (policy[key] !== undefined) merged[key] = Number(policy[key]);
+    }
+
+    if (!Number.isInteger(merged.maxAttempts) || merged.maxAttempts < 1 || merged.maxAttempts > 10) {
+        return { error: 'retry.maxAttempts must be an integer between 1 and 10.' };
+    }
+    if (!(merged.baseDelayMs >= 0) || !(merged.maxDelayMs >= merged.baseDelayMs)) {
+        return { error: 'retry.baseDelayMs must be at least 0 and no greater than retry.maxDelayMs.' };
+    }
+    if (merged.maxDelayMs > MAX_RETRY_DELAY_MS) {
+        return { error: `retry.maxDelayMs must be at most ${MAX_RETRY_DELAY_MS}.` };
+    }
+    if (!(merged.jitter >= 0 && merged.jitter <= 1)) {
+        return { error: 'retry.jitter must be between 0 and 1.' };
+    }
+    return { policy: merged };
+};
+
+/**
+ * Returns the delay before the given retry: exponential backoff, capped, with jitter.
+ * @param {number} attempt - The attempt that just failed (1 for the first try).
+ * @param {object} policy - A normalized retry policy.
+ * @returns {number} The delay in milliseconds.
+ */
+const getBackoffDelay = (attempt, policy) => {
+    const delay = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+    return Math.round(delay * (1 - policy.jitter * Math.random()));
+};
+
+/**
+ * Calls `fn` until it succeeds, the policy runs out of attempts, or it fails with a
+ * non-retryable failure class. The last error is rethrown with `attempts` and
+ * `failureClass` set on it.
+ * @param {function(number): Promise<*>} fn - The operation; receives the attempt number.
+ * @param {object} policy - A normalized retry policy.
+ * @param {object} [options]
+ * @param {function(object): void} [options.onRetry] - Called before each wait with { attempt, delayMs, error, failureClass }.
+ * @param {AbortSignal} [options.signal] - Aborts a pending wait (e.g. when the job is cancelled).
+ * @returns {Promise<*>} The result of `fn`.
+ */
+const withRetry = async (fn, policy, { onRetry, signal } = {}) => {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            const failureClass = classifyError(error);
+            if (!failureClass.retryable || attempt >= policy.maxAttempts || (signal && signal.aborted)) {
+                error.attempts = attempt;
+                error.failureClass = failureClass;
+                throw error;
+            }
+            const delayMs = getBackoffDelay(attempt, policy);
+            if (onRetry) onRetry({ attempt, delayMs, error, failureClass });
+            await sleep(delayMs, undefined, { signal });
+        }
+    }
+};
+
+module.exports = {
+    FAILURE_CLASSES,
+    PageFetchError,
+    classifyError,
+    DEFAULT_RETRY_POLICY,
+    MAX_RETRY_DELAY_MS,
+    normalizeRetryPolicy,
+    getBackoffDelay,
+    withRetry,
+};
@@ -0,0 +1,158 @@
+const sharp = require('sharp');
+
+// Thumbnails fit in a square of this many pixels.
+const THUMBNAIL_SIZE = 160;
+
+/**
+ * Scales an image down to a JPEG thumbnail.
+ * @param {Buffer} buffer - The image.
+ * @param {number} [size=THUMBNAIL_SIZE] - The largest width and height.
+ * @returns {Promise<string|null>} A data URI, or null if the image cannot be decoded.
+ */
+const makeThumbnail = async (buffer, size = THUMBNAIL_SIZE) => {
+    try {
+        const thumbnail = await sharp(buffer)
+            .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+            .flatten({ background: '#ffffff' })
+            .jpeg({ quality: 70 })
+            .toBuffer();
+        return `data:image/jpeg;base64,${thumbnail.toString('base64')}`;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Splits an image data URI.
+ * @param {string} source - e.g. 'data:image/png;base64,...'.
+ * @returns {{mimeType: string, buffer: Buffer}|null} Null if it is not a Base64 image data URI.
+ */
+const decodeDataUri = (source) => {
+    const match = /^data:(image\/[A-Za-z0-9.+-]+);base64,(.*)$/s.exec(source || '');
+    return match ? { mimeType: match[1], buffer: Buffer.from(match[2], 'base64') } : null;
+};
+
+/**
+ * Describes the images a selector matched, for the selector preview: their type, size and a
+ * thumbnail each.
+ * @param {string[]} sources - The data URIs.
+ * @param {number} [size] - The thumbnail size.
+ * @returns {Promise<Array<{mimeType: string|null, width: number|null, height: number|null, thumbnail: string|null}>>}
+ */
+const describeSources = (sources, size = THUMBNAIL_SIZE) => Promise.all(sources.map(async (source) => {
+    const image = decodeDataUri(source);
+    if (!image) {
+        return { mimeType: null, width: null, height: null, thumbnail: null };
+    }
+    let metadata = {};
+    try {
+        metadata = await sharp(image.buffer).metadata();
+    } catch (error) {
+        // An undecodable image gets no size and no thumbnail.
+    }
+    return {
+        mimeType: image.mimeType,
+        width: metadata.width || null,
+        height: metadata.height || null,
+        thumbnail: await makeThumbnail(image.buffer, size),
+    };
+}));
+
+/**
+ * Lists the images on an open viewer page that could be the page image, most likely first, each
+ * with a CSS selector that picks it. The selector is built from the image's nearest ancestors that
+ * have classes, preferring state classes such as `slick-current`, so it follows the carousel from
+ * page to page instead of pinning one element; `matches` says how many images it picks now.
+ *
+ * Candidates are sorted visible before hidden, data URIs before other sources, then by size.
+ *
+ * @param {object} puppeteerPage - The Puppeteer page, already on the viewer.
+ * @param {object} [options]
+ * @param {number} [options.limit=20] - The most candidates returned.
+ * @param {number} [options.thumbnailSize] - The thumbnail size.
+ * @returns {Promise<Array<{selector: string, matches: number, isDataUri: boolean, src: string|null,
+ *   mimeType: string|null, naturalWidth: number, naturalHeight: number, width: number, height: number,
+ *   visible: boolean, thumbnail: string|null}>>}
+ */
+const findImageCandidates = async (puppeteerPage, { limit = 20, thumbnailSize = THUMBNAIL_SIZE } = {}) => {
+    const candidates = await puppeteerPage.evaluate((max) => {
+        const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_-]*$/;
+        const STATE_CLASS = /current|active|selected|show/i;
+
+        const describeElement = (element) => {
+            const classes = Array.from(element.classList)
+                .filter(name => IDENTIFIER.test(name))
+                .sort((a, b) => Number(STATE_CLASS.test(b)) - Number(STATE_CLASS.test(a)))
+                .slice(0, 2);
+            return element.tagName.toLowerCase() + classes.map(name => `.${name}`).join('');
+        };
+
+        const buildSelector = (img, isDataUri) => {
+            const parts = [];
+            for (let element = img.parentElement; element && element !== document.body && parts.length < 2; element = element.parentElement) {
+                if (element.id && IDENTIFIER.test(element.id)) {
+                    parts.unshift(`#${element.id}`);
+                    break;
+                }
+                if (Array.from(element.classList).some(name => IDENTIFIER.test(name))) {
+                    parts.unshift(describeElement(element));
+                }
+            }
+            parts.push(isDataUri ? 'img[src^="data:image"]' : 'img');
+            return parts.join(' ');
+        };
+
+        return Array.from(document.images).map((img, index) => {
+            const src = img.currentSrc || img.src || '';
+            const isDataUri = src.startsWith('data:image');
+            const rect = img.getBoundingClientRect();
+            const style = window.getComputedStyle(img);
+            const selector = buildSelector(img, isDataUri);
+            return {
+                index,
+                selector,
+                matches: document.querySelectorAll(selector).length,
+                isDataUri,
+                src: isDataUri ? null : src.slice(0, 300),
+                mimeType: isDataUri ? src.slice(5, src.indexOf(';')) : null,
+                naturalWidth: img.naturalWidth,
+                naturalHeight: img.naturalHeight,
+                width: Math.round(rect.width),
+                height: Math.round(rect.height),
+                visible: rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none',
+            };
+        })
+            .sort((a, b) => Number(b.visible) - Number(a.visible)
+                || Number(b.isDataUri) - Number(a.isDataUri)
+                || b.naturalWidth * b.naturalHeight - a.naturalWidth * a.naturalHeight)
+            .slice(0, max);
+    }, limit);
+
+    // Data URIs are decoded as they are; other images are screenshotted as they are shown, one at
+    // a time, since a screenshot scrolls the page.
+    const handles = await puppeteerPage.$$('img');
+    try {
+        const results = [];
+        for (const { index, ...candidate } of candidates) {
+            // The viewer may have removed images since they were listed.
+            const handle = handles[index];
+            let thumbnail = null;
+            if (handle && candidate.isDataUri) {
+                const image = decodeDataUri(await handle.evaluate(img => img.currentSrc || img.src));
+                thumbnail = image && await makeThumbnail(image.buffer, thumbnailSize);
+            } else if (handle && candidate.visible) {
+                try {
+                    thumbnail = await makeThumbnail(await handle.screenshot({ type: 'png' }), thumbnailSize);
+                } catch (error) {
+                    // Off-screen or detached meanwhile; shown without a thumbnail.
+                }
+            }
+            results.push({ ...candidate, thumbnail });
+        }
+        return results;
+    } finally {
+        await Promise.all(handles.map(handle => handle.dispose()));
+    }
+};
+
+module.exports = { findImageCandidates, describeSources };
@@ -0,0 +1,180 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Creates the per-user limits: how much each user may have going on at once, and how many pages
+ * they may fetch from the viewers per 24 hours. Users are identified by a key, such as their name,
+ * or their address when the server runs without authentication.
+ *
+ * Queued and running jobs count towards the concurrency limit from `startJob` until `endJob`; a
+ * short request such as a single-page download counts from `startRequest` until it is released.
+ *
+ * A job also reserves the pages it is going to fetch (`reserve`) as soon as they are known, so the
+ * jobs a user has queued cannot add up to more than the quota; a job with an open-ended page range
+ * reserves its pages once it has detected the length of the book. Every request a job makes to a
+ * viewer, retries included, is taken from its reservation with `takePage`, which refuses once the
+ * quota is used up, and `endJob` releases what is left. Pages served from the page cache cost
+ * nothing. Short requests `recordPages` once they have fetched from a viewer. The counts are kept in
+ * memory and start over when the server restarts.
+ *
+ * @param {object} options
+ * @param {number} options.concurrency - Jobs and requests each user may have at a time.
+ * @param {number} options.pagesPerDay - Pages each user may fetch per 24 hours; 0 for no quota.
+ * @param {number} [options.windowMs] - The quota window.
+ * @returns {object} { check, startJob, reserve, takePage, endJob, startRequest, recordPages, usage }
+ */
+const createUserLimits = ({ concurrency, pagesPerDay, windowMs = DAY_MS }) => {
+    // Key -> Set of job IDs and request tokens.
+    const active = new Map();
+    // Key -> [{ at, pages }], oldest first.
+    const fetched = new Map();
+    // Key -> Map of job ID -> pages the job may still fetch.
+    const reserved = new Map();
+
+    const activeOf = (key) => {
+        if (!active.has(key)) active.set(key, new Set());
+        return active.get(key);
+    };
+
+    /**
+     * Drops the quota entries that have left the window.
+     * @param {string} key
+     * @returns {{at: number, pages: number}[]}
+     */
+    const recentPages = (key) => {
+        const since = Date.now() - windowMs;
+        const entries = (fetched.get(key) || []).filter(entry => entry.at > since);
+        if (entries.length > 0) fetched.set(key, entries);
+        else fetched.delete(key);
+        return entries;
+    };
+
+    /**
+     * Adds up the pages reserved by a user's jobs.
+     * @param {string} key
+     * @param {string} [exceptJobId] - A job to leave out.
+     * @returns {number}
+     */
+    const reservedPages = (key, exceptJobId) => {
+        let pages = 0;
+        for (const [jobId, count] of reserved.get(key) || []) {
+            if (jobId !== exceptJobId) pages += count;
+        }
+        return pages;
+    };
+
+    /**
+     * Returns what a user has in use.
+     * @param {string} key
+     * @returns {{active: number, pagesToday: number, pagesReserved: number}}
+     */
+    const usage = (key) => ({
+        active: (active.get(key) || new Set()).size,
+        pagesToday: recentPages(key).reduce((sum, entry) => sum + entry.pages, 0),
+        pagesReserved: reservedPages(key),
+    });
+
+    /**
+     * Checks whether a user may start something new.
+     * @param {string} key
+     * @param {object} [request]
+     * @param {number} [request.jobs=1] - The jobs or requests it starts.
+     * @param {number|null} [request.pages=0] - The pages it will fetch at most, or null if not known
+     *   yet; pages reserved by the user's other jobs count as used.
+     * @returns {null|{error: string, retryAfter: number}} null if allowed; otherwise why not, and
+     *   when to try again, in seconds.
+     */
+    const check = (key, { jobs = 1, pages = 0 } = {}) => {
+        const { active: running, pagesToday, pagesReserved } = usage(key);
+        if (running + jobs > concurrency) {
+            return {
+                error: `Too many downloads at once: you have ${running} running or queued and the limit is ${concurrency}. Wait for one to finish.`,
+                retryAfter: 30,
+            };
+        }
+        // A job whose page count is only known once it runs may start while any quota is left; it
+        // reserves its pages when it knows them, and stops once the quota is used up.
+        const used = pagesToday + pagesReserved;
+        const overQuota = pages === null ? used >= pagesPerDay : used + pages > pagesPerDay;
+        if (pagesPerDay > 0 && overQuota) {
+            const [oldest] = recentPages(key);
+            const retryAfter = oldest ? Math.ceil((oldest.at + windowMs - Date.now()) / 1000) : 60;
+            const remaining = Math.max(0, pagesPerDay - used);
+            return {
+                error: `Daily page quota exceeded: ${remaining} of ${pagesPerDay} pages left in the last 24 hours${pages ? `, ${pages} requested` : ''}.`,
+                retryAfter: Math.max(1, retryAfter),
+            };
+        }
+        return null;
+    };
+
+    /**
+     * Sets the pages a job is going to fetch, replacing what it had reserved.
+     * @param {string} key
+     * @param {string} jobId
+     * @param {number} pages
+     */
+    const reserve = (key, jobId, pages) => {
+        if (pagesPerDay === 0) return;
+        if (!reserved.has(key)) reserved.set(key, new Map());
+        reserved.get(key).set(jobId, pages);
+    };
+
+    const startJob = (key, jobId) => activeOf(key).add(jobId);
+
+    /**
+     * Takes a page a job is about to fetch from a viewer from the quota, and from the job's
+     * reservation. The reservations of the user's other jobs stay theirs.
+     * @param {string} key
+     * @param {string} jobId
+     * @returns {boolean} False if the quota is used up.
+     */
+    const takePage = (key, jobId) => {
+        if (pagesPerDay === 0) return true;
+        const { pagesToday } = usage(key);
+        if (pagesToday + reservedPages(key, jobId) >= pagesPerDay) return false;
+
+        recordPages(key);
+        const jobs = reserved.get(key);
+        if (jobs && jobs.get(jobId) > 0) jobs.set(jobId, jobs.get(jobId) - 1);
+        return true;
+    };
+
+    /**
+     * Stops counting a job or request towards the concurrency limit and releases the pages it
+     * reserved but did not fetch.
+     * @param {string} key
+     * @param {string|symbol} jobId
+     */
+    const endJob = (key, jobId) => {
+        const entries = activeOf(key);
+        entries.delete(jobId);
+        if (entries.size === 0) active.delete(key);
+        const jobs = reserved.get(key);
+        if (jobs) {
+            jobs.delete(jobId);
+            if (jobs.size === 0) reserved.delete(key);
+        }
+    };
+
+    /**
+     * Counts a short request towards the concurrency limit.
+     * @param {string} key
+     * @returns {Function} Call it once the request is done.
+     */
+    const startRequest = (key) => {
+        const token = Symbol('request');
+        activeOf(key).add(token);
+        return () => endJob(key, token);
+    };
+
+    const recordPages = (key, pages = 1) => {
+        if (pagesPerDay === 0) return;
+        const entries = recentPages(key);
+        entries.push({ at: Date.now(), pages });
+        fetched.set(key, entries);
+    };
+
+    return { check, startJob, reserve, takePage, endJob, startRequest, recordPages, usage };
+};
+
+module.exports = { createUserLimits };
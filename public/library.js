@@ -0,0 +1,202 @@
+document.addEventListener('DOMContentLoaded', () => {
+    const searchForm = document.getElementById('search_form');
+    const searchInput = document.getElementById('search_input');
+    const formatSelect = document.getElementById('format_select');
+    const statusArea = document.getElementById('status_area');
+    const historyList = document.getElementById('history_list');
+    const moreButton = document.getElementById('more_button');
+    const PAGE_SIZE = 50;
+    const OUTPUT_FORMATS = ['zip', 'pdf', 'cbz', 'epub'];
+    // Entries shown so far; "Show more" continues from here.
+    let shown = 0;
+
+    // Helper function to update status
+    const updateStatus = (message, isError = false) => {
+        statusArea.textContent = message;
+        statusArea.style.color = isError ? 'red' : 'black';
+    };
+
+    // Helper function to read the JSON of an API response; throws with the server's error message
+    const readJson = async (response) => {
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(result.error || `Server returned an error: ${response.status} ${response.statusText}`);
+        }
+        return result;
+    };
+
+    const formatBytes = (bytes) => {
+        if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+        if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+        return `${bytes} B`;
+    };
+
+    const formatDuration = (ms) => {
+        if (ms === null || ms === undefined) return 'unknown time';
+        const seconds = Math.round(ms / 1000);
+        return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+    };
+
+    // Helper function to add a line of text to an element; the text may come from a viewer, so no innerHTML
+    const appendLine = (parent, className, text) => {
+        const line = document.createElement('div');
+        line.className = className;
+        line.textContent = text;
+        parent.appendChild(line);
+        return line;
+    };
+
+    const createButton = (label, onClick, className = '') => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label;
+        button.className = className;
+        button.addEventListener('click', onClick);
+        return button;
+    };
+
+    // Download the saved output file again
+    const downloadEntry = async (entry) => {
+        updateStatus(`Downloading ${entry.artifact.filename}...`);
+        try {
+            const response = await fetch(`/api/history/${entry.id}/download`);
+            if (!response.ok) {
+                await readJson(response);
+            }
+            const url = window.URL.createObjectURL(await response.blob());
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = entry.artifact.filename;
+            document.body.appendChild(a);
+            a.click();
+            a.remove();
+            window.URL.revokeObjectURL(url);
+            updateStatus(`Downloaded ${entry.artifact.filename}.`);
+        } catch (error) {
+            updateStatus(`Error: ${error.message}`, true);
+        }
+    };
+
+    // A form to run the download again with another page range, format or selector
+    const createRerunForm = (entry) => {
+        const form = document.createElement('form');
+        form.className = 'rerun-form';
+
+        const pageRangeInput = document.createElement('input');
+        pageRangeInput.type = 'text';
+        pageRangeInput.value = entry.page_range;
+        pageRangeInput.title = 'Page range';
+
+        const formatInput = document.createElement('select');
+        OUTPUT_FORMATS.forEach(format => {
+            const option = document.createElement('option');
+            option.value = format;
+            option.textContent = format.toUpperCase();
+            formatInput.appendChild(option);
+        });
+        formatInput.value = entry.output_format;
+
+        const selectorInput = document.createElement('input');
+        selectorInput.type = 'text';
+        selectorInput.value = entry.params.selector;
+        selectorInput.title = 'Image selector';
+
+        const startButton = document.createElement('button');
+        startButton.type = 'submit';
+        startButton.textContent = 'Start';
+
+        form.append(pageRangeInput, formatInput, selectorInput, startButton);
+        form.addEventListener('submit', async (event) => {
+            event.preventDefault();
+            try {
+                const response = await fetch(`/api/history/${entry.id}/rerun`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        page_range: pageRangeInput.value,
+                        output_format: formatInput.value,
+                        selector: selectorInput.value
+                    })
+                });
+                const result = await readJson(response);
+                updateStatus(`Re-run queued as job ${result.jobId}. Follow it in the Jobs list of the downloader; it appears here once it has finished.`);
+                form.remove();
+            } catch (error) {
+                updateStatus(`Error: ${error.message}`, true);
+            }
+        });
+        return form;
+    };
+
+    const deleteEntry = async (entry, item) => {
+        if (!window.confirm(`Delete ${entry.artifact.filename} and its fetched pages?`)) return;
+        try {
+            await readJson(await fetch(`/api/history/${entry.id}`, { method: 'DELETE' }));
+            item.remove();
+            shown--;
+            updateStatus(`Deleted ${entry.artifact.filename}.`);
+        } catch (error) {
+            updateStatus(`Error: ${error.message}`, true);
+        }
+    };
+
+    const renderEntry = (entry) => {
+        const item = document.createElement('li');
+        appendLine(item, 'entry-title', entry.title ? `${entry.title} (${entry.group_name}/${entry.pdf})` : `${entry.group_name}/${entry.pdf}`);
+
+        let pages = `Pages ${entry.page_range}: ${entry.fetchedCount} of ${entry.pageCount}`;
+        if (entry.failedPages.length > 0) {
+            pages += `, failed: ${entry.failedPages.map(f => f.page).join(', ')}`;
+        }
+        if (entry.flaggedPages.length > 0) {
+            pages += `, flagged: ${entry.flaggedPages.map(f => f.page).join(', ')}`;
+        }
+        appendLine(item, 'entry-details', pages);
+        appendLine(item, 'entry-details', `${entry.output_format.toUpperCase()}, ${formatBytes(entry.fileSize)}, took ${formatDuration(entry.durationMs)}, finished ${new Date(entry.finishedAt).toLocaleString()}`);
+        appendLine(item, 'entry-details', entry.artifact.path);
+
+        const actions = document.createElement('div');
+        actions.className = 'entry-actions';
+        actions.append(
+            createButton('Download', () => downloadEntry(entry)),
+            createButton('Re-run...', () => {
+                const open = item.querySelector('.rerun-form');
+                if (open) open.remove();
+                else item.appendChild(createRerunForm(entry));
+            }),
+            createButton('Delete', () => deleteEntry(entry, item), 'danger')
+        );
+        item.appendChild(actions);
+        return item;
+    };
+
+    // Loads the next page of results, or starts over with the current search
+    const loadHistory = async (more = false) => {
+        if (!more) {
+            shown = 0;
+            historyList.replaceChildren();
+        }
+        const params = new URLSearchParams({ limit: PAGE_SIZE, offset: shown });
+        if (searchInput.value.trim()) params.set('q', searchInput.value.trim());
+        if (formatSelect.value) params.set('format', formatSelect.value);
+
+        try {
+            const { total, entries } = await readJson(await fetch(`/api/history?${params}`));
+            entries.forEach(entry => historyList.appendChild(renderEntry(entry)));
+            shown += entries.length;
+            moreButton.style.display = shown < total ? 'block' : 'none';
+            updateStatus(total === 0 ? 'No downloads found.' : `Showing ${shown} of ${total} downloads.`);
+        } catch (error) {
+            updateStatus(`Error: ${error.message}`, true);
+        }
+    };
+
+    searchForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        loadHistory();
+    });
+    formatSelect.addEventListener('change', () => loadHistory());
+    moreButton.addEventListener('click', () => loadHistory(true));
+
+    loadHistory();
+});
@@ -6,7 +6,7 @@ document.addEventListener('DOMContentLoaded', () => {
     const allFormControls = [
         testButton,
         batchButton,
-        ...Array.from(form.querySelectorAll('input, button, radio'))
+        ...Array.from(form.querySelectorAll('input, button, radio, select'))
     ];
 
     // Helper function to enable/disable all UI controls
@@ -22,6 +22,42 @@ document.addEventListener('DOMContentLoaded', () => {
         statusArea.style.color = isError ? 'red' : 'black';
     };
 
+    // Helper function to read the document options; throws on a malformed chapter line
+    const getDocumentOptions = (formData) => {
+        const chapters = (formData.get('chapters') || '')
+            .split('\n')
+            .map(line => line.trim())
+            .filter(line => line !== '')
+            .map(line => {
+                const match = line.match(/^(\d+)(?:-(\d+))?\s+(.+)$/);
+                if (!match) {
+                    throw new Error(`Invalid chapter line "${line}". Use "start-end Title" or "start Title".`);
+                }
+                const chapter = { title: match[3], start: Number(match[1]) };
+                if (match[2]) {
+                    chapter.end = Number(match[2]);
+                }
+                return chapter;
+            });
+
+        return {
+            title: formData.get('title') || undefined,
+            author: formData.get('author') || undefined,
+            subject: formData.get('subject') || undefined,
+            chapters,
+            reading_direction: formData.get('reading_direction'),
+            placeholders: formData.get('placeholders') === 'true',
+            check_pages: formData.get('check_pages') === 'true',
+            image: {
+                format: formData.get('image_format'),
+                quality: formData.get('jpeg_quality') || undefined,
+                maxWidth: formData.get('max_width') || undefined,
+                trim: formData.get('trim') === 'true',
+                mergeSpreads: formData.get('merge_spreads') === 'true'
+            }
+        };
+    };
+
     // Helper function to handle fetch response for file download
     const handleFileResponse = async (response) => {
         if (!response.ok) {
@@ -63,23 +99,291 @@ document.addEventListener('DOMContentLoaded', () => {
         return { failedPagesHeader };
     };
 
+    // Viewer Adapter Logic
+    const adapterSelect = document.getElementById('adapter_select');
+    const selectorInput = document.getElementById('selector_input');
+    let adapters = [];
+
+    const loadAdapters = async () => {
+        try {
+            const response = await fetch('/api/adapters');
+            ({ adapters } = await response.json());
+            adapters.forEach(adapter => {
+                const option = document.createElement('option');
+                option.value = adapter.name;
+                option.textContent = adapter.description;
+                adapterSelect.appendChild(option);
+            });
+        } catch (error) {
+            updateStatus(`Could not load viewers: ${error.message}`, true);
+        }
+    };
+
+    // Switching viewers resets the selector to that viewer's default.
+    adapterSelect.addEventListener('change', () => {
+        const adapter = adapters.find(a => a.name === adapterSelect.value);
+        if (adapter) {
+            selectorInput.value = adapter.defaultSelector;
+        }
+    });
+
+    loadAdapters();
+
+    // Viewer URL Logic
+    const viewerUrlInput = document.getElementById('viewer_url_input');
+    const groupNameInput = document.getElementById('group_name_input');
+    const pdfInput = document.getElementById('pdf_input');
+    const pageRangeInput = document.getElementById('page_range_input');
+    // Books found in the pasted URLs; with more than one, Batch Download creates a job for each.
+    let pastedBooks = [];
+
+    viewerUrlInput.addEventListener('change', async () => {
+        pastedBooks = [];
+        if (viewerUrlInput.value.trim() === '') return;
+
+        try {
+            const response = await fetch('/api/parse-viewer-url', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ urls: viewerUrlInput.value })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'An unknown error occurred.');
+            }
+
+            const invalid = result.results.filter(r => r.error);
+            pastedBooks = result.books;
+            if (pastedBooks.length === 1) {
+                const [book] = pastedBooks;
+                adapterSelect.value = book.adapter;
+                groupNameInput.value = book.group_name;
+                pdfInput.value = book.pdf;
+                if (book.page && !pageRangeInput.value) {
+                    pageRangeInput.value = book.page;
+                }
+            }
+
+            let statusMessage = pastedBooks.length > 1
+                ? `${pastedBooks.length} books found. Batch Download will create one job per book.`
+                : `Found ${pastedBooks.length} book.`;
+            invalid.forEach(r => {
+                statusMessage += `\n- ${r.url}: ${r.error}`;
+            });
+            updateStatus(statusMessage, invalid.length > 0);
+        } catch (error) {
+            updateStatus(`Error: ${error.message}`, true);
+        }
+    });
+
+    // Book Length Detection Logic
+    const detectButton = document.getElementById('detect_button');
+    const lastPageInput = document.getElementById('last_page_input');
+
+    detectButton.addEventListener('click', async () => {
+        const formData = new FormData(form);
+        const data = {
+            adapter: formData.get('adapter'),
+            group_name: formData.get('group_name'),
+            pdf: formData.get('pdf')
+        };
+
+        if (!data.group_name || !data.pdf) {
+            updateStatus('Please fill in Group Name and PDF ID.', true);
+            return;
+        }
+
+        updateStatus('Detecting book length...');
+        setUIEnabled(false);
+
+        try {
+            const response = await fetch('/api/book-info', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(data)
+            });
+            const info = await response.json();
+            if (!response.ok) {
+                throw new Error(info.error || 'An unknown error occurred.');
+            }
+            lastPageInput.value = info.totalPages;
+            let statusMessage = `Book has ${info.totalPages} pages${info.spread ? ' (spread view)' : ''}.`;
+            if (info.title) {
+                statusMessage = `${info.title}\n${statusMessage}`;
+            }
+            updateStatus(statusMessage);
+        } catch (error) {
+            updateStatus(`Error: ${error.message}`, true);
+        } finally {
+            setUIEnabled(true);
+        }
+    });
+
+    // Selector Discovery Logic
+    const findImagesButton = document.getElementById('find_images_button');
+    const previewButton = document.getElementById('preview_button');
+    const candidateList = document.getElementById('candidate_list');
+    const selectorPreview = document.getElementById('selector_preview');
+
+    // Helper function to read the book and page the selector tools look at: the first page of the range, or page 1
+    const getSelectorToolData = (formData) => {
+        const pageRange = formData.get('page_range');
+        return {
+            adapter: formData.get('adapter'),
+            group_name: formData.get('group_name'),
+            pdf: formData.get('pdf'),
+            page: pageRange ? PageRange.getFirstPage(pageRange) : 1
+        };
+    };
+
+    // Helper function to call a selector tool endpoint
+    const postSelectorTool = async (endpoint, data) => {
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(data)
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || 'An unknown error occurred.');
+        }
+        return result;
+    };
+
+    // Helper function to build the card of one image; the text comes from the viewer page, so no innerHTML
+    const createImageCard = (thumbnail, lines) => {
+        const card = document.createElement('li');
+        card.className = 'image-card';
+        if (thumbnail) {
+            const image = document.createElement('img');
+            image.src = thumbnail;
+            image.alt = '';
+            card.appendChild(image);
+        }
+        lines.forEach(text => {
+            const line = document.createElement('div');
+            line.textContent = text;
+            card.appendChild(line);
+        });
+        return card;
+    };
+
+    findImagesButton.addEventListener('click', async () => {
+        let data;
+        try {
+            data = getSelectorToolData(new FormData(form));
+        } catch (error) {
+            updateStatus(`Invalid page range: ${error.message}`, true);
+            return;
+        }
+        if (!data.group_name || !data.pdf) {
+            updateStatus('Please fill in Group Name and PDF ID.', true);
+            return;
+        }
+
+        updateStatus(`Looking for images on page ${data.page}...`);
+        setUIEnabled(false);
+        selectorPreview.replaceChildren();
+
+        try {
+            const { candidates } = await postSelectorTool('/api/selector-candidates', data);
+            candidateList.replaceChildren(...candidates.map(candidate => {
+                const details = [`${candidate.naturalWidth}x${candidate.naturalHeight}`];
+                if (candidate.isDataUri) details.push('data URI');
+                if (!candidate.visible) details.push('hidden');
+                const card = createImageCard(candidate.thumbnail, [
+                    candidate.selector,
+                    details.join(', '),
+                    `Selector matches ${candidate.matches} image(s)`
+                ]);
+                card.title = 'Use this selector';
+                card.addEventListener('click', () => {
+                    selectorInput.value = candidate.selector;
+                    candidateList.querySelectorAll('.selected').forEach(other => other.classList.remove('selected'));
+                    card.classList.add('selected');
+                    updateStatus(`Selector set to ${candidate.selector}\nUse Preview to check which image a page gets.`);
+                });
+                return card;
+            }));
+            updateStatus(candidates.length > 0
+                ? `Found ${candidates.length} images on page ${data.page}. Click one to use its selector.`
+                : `No images found on page ${data.page}.`, candidates.length === 0);
+        } catch (error) {
+            updateStatus(`Error: ${error.message}`, true);
+        } finally {
+            setUIEnabled(true);
+        }
+    });
+
+    previewButton.addEventListener('click', async () => {
+        let data;
+        try {
+            data = { ...getSelectorToolData(new FormData(form)), selector: selectorInput.value };
+        } catch (error) {
+            updateStatus(`Invalid page range: ${error.message}`, true);
+            return;
+        }
+        if (!data.group_name || !data.pdf) {
+            updateStatus('Please fill in Group Name and PDF ID.', true);
+            return;
+        }
+
+        updateStatus(`Previewing page ${data.page}...`);
+        setUIEnabled(false);
+
+        try {
+            const { matched, pickedIndex, images } = await postSelectorTool('/api/selector-preview', data);
+            selectorPreview.replaceChildren(...images.map((image, index) => {
+                const position = matched === 2 ? (index === 0 ? 'Left image' : 'Right image') : `Image ${index + 1}`;
+                const card = createImageCard(image.thumbnail, [
+                    index === pickedIndex ? `${position}: page ${data.page}` : position,
+                    image.width ? `${image.width}x${image.height}` : 'Not a readable image'
+                ]);
+                if (index === pickedIndex) card.classList.add('picked');
+                return card;
+            }));
+
+            if (pickedIndex === null) {
+                updateStatus(`The selector matches ${matched} images on page ${data.page}, but a page needs 1 (or 2 on a spread).`, true);
+            } else if (matched === 2) {
+                updateStatus(`Spread view: page ${data.page} is the ${pickedIndex === 0 ? 'left' : 'right'} image.`);
+            } else {
+                updateStatus(`The selector matches one image on page ${data.page}.`);
+            }
+        } catch (error) {
+            selectorPreview.replaceChildren();
+            updateStatus(`Error: ${error.message}`, true);
+        } finally {
+            setUIEnabled(true);
+        }
+    });
+
     // Test Download Logic
     testButton.addEventListener('click', async () => {
         const formData = new FormData(form);
         const groupName = formData.get('group_name');
         const pdfId = formData.get('pdf');
         const pageRange = formData.get('page_range');
-        const firstPage = pageRange ? pageRange.split('-')[0].trim() : null;
 
-        if (!groupName || !pdfId || !firstPage) {
+        if (!groupName || !pdfId || !pageRange) {
             updateStatus('Please fill in Group Name, PDF ID, and Page Range.', true);
             return;
         }
 
+        let firstPage;
+        try {
+            // Same parser as the server, so the test page is the first page the batch would fetch.
+            firstPage = PageRange.getFirstPage(pageRange);
+        } catch (error) {
+            updateStatus(`Invalid page range: ${error.message}`, true);
+            return;
+        }
+
         const data = {
+            adapter: formData.get('adapter'),
             group_name: groupName,
             pdf: pdfId,
-            page: parseInt(firstPage, 10),
+            page: firstPage,
             selector: formData.get('selector')
         };
 
@@ -101,91 +405,383 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    // Job List Logic
+    const jobList = document.getElementById('job_list');
+    const refreshJobsButton = document.getElementById('refresh_jobs_button');
+
+    // Helper function to download the output file of a finished job
+    const downloadJobOutput = async (jobId) => {
+        const response = await fetch(`/api/jobs/${jobId}/download`);
+        return handleFileResponse(response);
+    };
+
+    // Helper function to call a job action endpoint (cancel, resume)
+    const postJobAction = async (jobId, action, body = {}) => {
+        const response = await fetch(`/api/jobs/${jobId}/${action}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || 'An unknown error occurred.');
+        }
+        return result;
+    };
+
+    const createJobButton = (label, onClick) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'small-button';
+        button.textContent = label;
+        button.addEventListener('click', async () => {
+            try {
+                await onClick();
+            } catch (error) {
+                updateStatus(`Error: ${error.message}`, true);
+            }
+            refreshJobs();
+        });
+        return button;
+    };
+
+    const refreshJobs = async () => {
+        try {
+            const response = await fetch('/api/jobs');
+            const { jobs } = await response.json();
+            jobList.innerHTML = '';
+            if (jobs.length === 0) {
+                jobList.textContent = 'No jobs yet.';
+                return;
+            }
+            jobs.forEach(job => {
+                const item = document.createElement('li');
+                const summary = document.createElement('div');
+                const { group_name, pdf, page_range, output_format } = job.params;
+                const totalPages = job.totalPages === null ? '?' : job.totalPages;
+                summary.textContent = `[${job.status}] ${group_name} / ${pdf} p.${page_range} (${output_format}) - ${job.fetchedCount}/${totalPages} pages`;
+                if (job.failedCount > 0) {
+                    summary.textContent += `, ${job.failedCount} failed`;
+                }
+                if (job.flaggedCount > 0) {
+                    summary.textContent += `, ${job.flaggedCount} flagged`;
+                }
+                if (job.error) {
+                    summary.textContent += ` - ${job.error}`;
+                }
+                item.appendChild(summary);
+
+                const actions = document.createElement('div');
+                actions.className = 'job-actions';
+                if (job.status === 'done') {
+                    actions.appendChild(createJobButton('Download', () => downloadJobOutput(job.id)));
+                }
+                if (job.status === 'queued' || job.status === 'running') {
+                    actions.appendChild(createJobButton('Watch', () => watchJob(job.id)));
+                    actions.appendChild(createJobButton('Cancel', () => postJobAction(job.id, 'cancel')));
+                } else if (job.status === 'done' && (job.failedCount > 0 || job.flaggedCount > 0)) {
+                    actions.appendChild(createJobButton('Retry Failed', () => postJobAction(job.id, 'retry-failed')));
+                } else if (job.totalPages === null || job.fetchedCount < job.totalPages) {
+                    actions.appendChild(createJobButton('Resume', () => postJobAction(job.id, 'resume')));
+                }
+                item.appendChild(actions);
+                jobList.appendChild(item);
+            });
+        } catch (error) {
+            jobList.textContent = `Could not load jobs: ${error.message}`;
+        }
+    };
+
+    refreshJobsButton.addEventListener('click', refreshJobs);
+    refreshJobs();
+
     // Batch Download Logic
-    batchButton.addEventListener('click', async () => {
-        const formData = new FormData(form);
-        const data = {
-            group_name: formData.get('group_name'),
-            pdf: formData.get('pdf'),
-            page_range: formData.get('page_range'),
-            selector: formData.get('selector'),
-            output_format: formData.get('output_format'),
-            clientId: `client-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`
-        };
+    const cancelButton = document.getElementById('cancel_button');
+    const progressContainer = document.getElementById('progress_container');
+    const progressBar = document.getElementById('progress_bar');
+    const progressDetails = document.getElementById('progress_details');
+    const logArea = document.getElementById('log_area');
+    let currentJobId = null;
+    // Stops following the job shown in the progress panel, if any.
+    let stopWatching = () => {};
 
-        if (!data.group_name || !data.pdf || !data.page_range) {
-            updateStatus('Please fill in all required fields.', true);
-            return;
+    const MAX_RECONNECT_ATTEMPTS = 8;
+
+    const formatBytes = (bytes) => {
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    };
+
+    const formatDuration = (seconds) => {
+        if (seconds < 60) return `${seconds}s`;
+        const minutes = Math.floor(seconds / 60);
+        if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+        return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+    };
+
+    const appendLog = (message, isError = false) => {
+        const logEntry = document.createElement('div');
+        logEntry.textContent = message;
+        if (isError) {
+            logEntry.style.color = 'red';
+        }
+        logArea.appendChild(logEntry);
+        logArea.scrollTop = logArea.scrollHeight; // Auto-scroll
+    };
+
+    // Builds the status message of a finished job, listing the pages that are missing from its output
+    const describeCompletedJob = ({ failedPages = [], flaggedPages = [] }) => {
+        let statusMessage = 'Batch download processing finished!';
+        if (failedPages.length > 0) {
+            statusMessage += `\nWarning: Could not download the following pages:`;
+            failedPages.forEach(p => {
+                statusMessage += `\n- Page ${p.page}: ${p.reason}`;
+                if (p.attempts > 1) {
+                    statusMessage += ` (after ${p.attempts} attempts)`;
+                }
+            });
+        }
+        if (flaggedPages.length > 0) {
+            statusMessage += `\nWarning: The following pages look wrong and were left out:`;
+            flaggedPages.forEach(p => {
+                statusMessage += `\n- Page ${p.page}: ${p.reason}`;
+            });
         }
+        return statusMessage;
+    };
 
-        // Setup SSE connection
-        const eventSource = new EventSource(`/api/progress?clientId=${data.clientId}`);
-        const progressContainer = document.getElementById('progress_container');
-        const progressBar = document.getElementById('progress_bar');
-        const logArea = document.getElementById('log_area');
+    // Follows the progress of a job in the progress panel. Events are numbered by the server:
+    // EventSource reconnects by itself after a dropped connection and asks for the events after the
+    // last one it got; if it gives up, a new connection is opened the same way, with backoff.
+    const watchJob = (jobId, { downloadWhenDone = false } = {}) => {
+        stopWatching();
+        currentJobId = jobId;
+        let eventSource = null;
+        let lastEventId = null;
+        let reconnectAttempts = 0;
+        let reconnectTimer = null;
+        let finished = false;
 
         progressContainer.style.display = 'block';
         logArea.innerHTML = ''; // Clear previous logs
         progressBar.value = 0;
-        updateStatus('Starting batch download...');
+        progressDetails.textContent = '';
         setUIEnabled(false);
 
         const closeConnection = () => {
-            if (eventSource.readyState !== EventSource.CLOSED) {
+            finished = true;
+            clearTimeout(reconnectTimer);
+            if (eventSource) {
                 eventSource.close();
             }
+            currentJobId = null;
+            stopWatching = () => {};
             setUIEnabled(true);
+            refreshJobs();
             // Hide progress bar after a short delay to allow user to see the final status
             setTimeout(() => {
-                progressContainer.style.display = 'none';
+                if (!currentJobId) {
+                    progressContainer.style.display = 'none';
+                }
             }, 5000);
         };
+        stopWatching = closeConnection;
 
-        eventSource.onmessage = (event) => {
-            const progressData = JSON.parse(event.data);
-            if (progressData.type === 'progress') {
+        const onComplete = async (job) => {
+            updateStatus(describeCompletedJob(job));
+            closeConnection();
+            if (!downloadWhenDone) return;
+            try {
+                await downloadJobOutput(jobId);
+            } catch (error) {
+                updateStatus(`Error: ${error.message}`, true);
+            }
+        };
+
+        const handleEvent = async (progressData) => {
+            if (progressData.type === 'snapshot') {
+                // The state of the job when the connection was opened; it may have ended while we were away.
+                const { job } = progressData;
+                if (job.totalPages) {
+                    progressBar.value = Math.round(((job.fetchedCount + job.failedCount + job.flaggedCount) / job.totalPages) * 100);
+                }
+                if (job.status === 'done') {
+                    await onComplete(job);
+                } else if (job.status === 'cancelled') {
+                    updateStatus('Batch download was cancelled. It can be resumed from the job list.');
+                    closeConnection();
+                } else if (job.status === 'failed') {
+                    updateStatus(`An error occurred on the server: ${job.error}`, true);
+                    closeConnection();
+                }
+            } else if (progressData.type === 'gap') {
+                appendLog('Some progress messages were missed while disconnected.', true);
+            } else if (progressData.type === 'progress') {
                 progressBar.value = progressData.value;
-            } else if (progressData.type === 'log') {
-                const logEntry = document.createElement('div');
-                logEntry.textContent = progressData.message;
-                if (progressData.isError) {
-                    logEntry.style.color = 'red';
+                let details = `${progressData.completed}/${progressData.total} pages, ${formatBytes(progressData.bytes)} downloaded`;
+                if (progressData.completed < progressData.total) {
+                    details += `, about ${formatDuration(progressData.etaSeconds)} left`;
                 }
-                logArea.appendChild(logEntry);
-                logArea.scrollTop = logArea.scrollHeight; // Auto-scroll
+                progressDetails.textContent = details;
+            } else if (progressData.type === 'log') {
+                appendLog(progressData.message);
+            } else if (progressData.type === 'page') {
+                appendLog(progressData.message, progressData.status === 'failed' || progressData.status === 'flagged');
             } else if (progressData.type === 'complete') {
-                let statusMessage = 'Batch download processing finished!';
-                 if (progressData.failedPages && progressData.failedPages.length > 0) {
-                    statusMessage += `\nWarning: Could not download the following pages:`;
-                    progressData.failedPages.forEach(p => {
-                        statusMessage += `\n- Page ${p.page}: ${p.reason}`;
-                    });
-                }
-                updateStatus(statusMessage);
+                await onComplete(progressData);
+            } else if (progressData.type === 'cancelled') {
+                updateStatus('Batch download was cancelled. It can be resumed from the job list.');
                 closeConnection();
             } else if (progressData.type === 'error') {
-                 updateStatus(`An error occurred on the server: ${progressData.message}`, true);
-                 closeConnection();
+                updateStatus(`An error occurred on the server: ${progressData.message}`, true);
+                closeConnection();
             }
         };
 
-        eventSource.onerror = () => {
-            updateStatus('Connection to server progress updates failed. The download may still be running.', true);
-            closeConnection();
+        const connect = () => {
+            const query = lastEventId ? `?lastEventId=${encodeURIComponent(lastEventId)}` : '';
+            eventSource = new EventSource(`/api/jobs/${jobId}/events${query}`);
+            eventSource.onopen = () => {
+                if (reconnectAttempts > 0) {
+                    updateStatus('Reconnected to server progress updates.');
+                }
+                reconnectAttempts = 0;
+            };
+            eventSource.onmessage = (event) => {
+                if (finished) return;
+                if (event.lastEventId) {
+                    lastEventId = event.lastEventId;
+                }
+                handleEvent(JSON.parse(event.data));
+            };
+            eventSource.onerror = () => {
+                if (finished) return;
+                reconnectAttempts++;
+                if (eventSource.readyState === EventSource.CONNECTING) {
+                    updateStatus('Connection to server progress updates was interrupted; reconnecting...', true);
+                    return;
+                }
+                // The browser gave up on this connection (e.g. the server answered with an error); try a new one.
+                if (reconnectAttempts > MAX_RECONNECT_ATTEMPTS) {
+                    updateStatus('Connection to server progress updates failed. The download may still be running; check the job list.', true);
+                    closeConnection();
+                    return;
+                }
+                updateStatus('Connection to server progress updates was lost; reconnecting...', true);
+                reconnectTimer = setTimeout(connect, Math.min(30000, 1000 * 2 ** reconnectAttempts));
+            };
         };
+        connect();
+    };
 
+    cancelButton.addEventListener('click', async () => {
+        if (!currentJobId) return;
+        try {
+            await postJobAction(currentJobId, 'cancel');
+            updateStatus('Cancelling job...');
+        } catch (error) {
+            updateStatus(`Error: ${error.message}`, true);
+        }
+    });
 
+    // Creates one job per pasted book; progress is followed in the job list.
+    const startMultiBookBatch = async (formData) => {
+        let documentOptions;
         try {
-            const response = await fetch('/api/download-batch', {
+            documentOptions = getDocumentOptions(formData);
+        } catch (error) {
+            updateStatus(error.message, true);
+            return;
+        }
+        // The title belongs to a single book, so each job uses its own detected title.
+        delete documentOptions.title;
+
+        const data = {
+            urls: viewerUrlInput.value,
+            page_range: formData.get('page_range'),
+            last_page: formData.get('last_page') || undefined,
+            selector: formData.get('selector'),
+            output_format: formData.get('output_format'),
+            ...documentOptions
+        };
+
+        if (!data.page_range) {
+            updateStatus('Please fill in the Page Range (e.g. all).', true);
+            return;
+        }
+
+        setUIEnabled(false);
+        try {
+            const response = await fetch('/api/jobs/from-urls', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify(data)
             });
-            // The actual file download is handled here, after SSE logs are complete.
-            await handleFileResponse(response);
+            const result = await response.json();
+            if (!response.ok) {
+                let message = result.error || 'An unknown error occurred.';
+                (result.invalid || []).forEach(r => {
+                    message += `\n- ${r.url}: ${r.error}`;
+                });
+                throw new Error(message);
+            }
+            updateStatus(`Created ${result.jobs.length} jobs. Download each one from the job list when it is done.`);
         } catch (error) {
             updateStatus(`Error: ${error.message}`, true);
-            closeConnection();
+        } finally {
+            setUIEnabled(true);
+            refreshJobs();
+        }
+    };
+
+    batchButton.addEventListener('click', async () => {
+        const formData = new FormData(form);
+        if (pastedBooks.length > 1) {
+            await startMultiBookBatch(formData);
+            return;
+        }
+
+        const data = {
+            adapter: formData.get('adapter'),
+            group_name: formData.get('group_name'),
+            pdf: formData.get('pdf'),
+            page_range: formData.get('page_range'),
+            selector: formData.get('selector'),
+            output_format: formData.get('output_format'),
+            last_page: formData.get('last_page') || undefined
+        };
+
+        if (!data.group_name || !data.pdf || !data.page_range) {
+            updateStatus('Please fill in all required fields.', true);
+            return;
+        }
+
+        try {
+            Object.assign(data, getDocumentOptions(formData));
+        } catch (error) {
+            updateStatus(error.message, true);
+            return;
+        }
+
+        updateStatus('Starting batch download...');
+        setUIEnabled(false);
+        try {
+            const response = await fetch('/api/jobs', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(data)
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'An unknown error occurred.');
+            }
+            // The job now runs on the server. Its events are buffered there, so nothing is lost by
+            // connecting only now; its output is downloaded once the 'complete' event arrives.
+            watchJob(result.jobId, { downloadWhenDone: true });
+            refreshJobs();
+        } catch (error) {
+            updateStatus(`Error: ${error.message}`, true);
+            setUIEnabled(true);
         }
     });
 });
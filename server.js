@@ -1,323 +1,825 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-
-const puppeteer = require('puppeteer');
-const archiver = require('archiver');
-const { PDFDocument, rgb } = require('pdf-lib');
+const fs = require('fs');
+
+const { loadJob, listJobs, artifactPath, getMissingPages } = require('./lib/jobStore');
+const { FAILURE_CLASSES, classifyError } = require('./lib/retry');
+const { ConfigError, loadConfig } = require('./lib/config');
+const { createProgressChannel } = require('./lib/progressChannel');
+const { createAuth } = require('./lib/auth');
+const { createUserLimits } = require('./lib/userLimits');
+const { listAdapters } = require('./lib/adapters');
+const {
+    engineOptionsFromConfig,
+    createEngine,
+    resolveAdapter,
+    validateSelector,
+    parseViewerUrls,
+    uniqueBooks,
+} = require('./lib/engine');
+
+// --- Configuration ---
+// config.json (or CONFIG_FILE), then environment variables; see lib/config.js for every setting.
+// A bad value stops the server here rather than failing the first download.
+let config;
+try {
+    config = loadConfig();
+} catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    console.error(error.message);
+    process.exit(1);
+}
 
 const app = express();
-const port = 3000;
-
-app.use(cors());
-app.use(express.json());
-app.use(express.static(path.join(__dirname, 'public')));
+const port = config.server.port;
 
-// --- Helper Functions ---
+// --- Access Control ---
+// Browsers may call the API from the server's own pages and from the origins in server.corsOrigins;
+// requests from any other page are refused before they reach a route. Then, if auth.users is set,
+// every request (the web UI included) needs a user's token; see lib/auth.js.
+const corsOrigins = config.server.corsOrigins;
+const auth = createAuth({ users: config.auth.users });
 
 /**
- * Fetches the Base64 source of an image from a given URL using Puppeteer, handling spread view.
- * @param {object} puppeteerPage - The Puppeteer page object.
- * @param {string} url - The URL to navigate to.
- * @param {string} selector - The CSS selector for the image.
- * @param {number} pageNumber - The requested page number.
- * @returns {Promise<string|null>} The Base64 image string or null if not found.
+ * Checks the Origin header of a browser request.
+ * @param {string} origin - The Origin header.
+ * @param {object} req - The request.
+ * @returns {boolean}
  */
-const getImageBase64 = async (puppeteerPage, url, selector, pageNumber) => {
-    // Using 'networkidle0' is a safer bet to ensure all dynamic content,
-    // including the Base64 image source, is fully loaded.
-    await puppeteerPage.goto(url, { waitUntil: 'networkidle0', timeout: 30000 });
-    await puppeteerPage.waitForSelector(selector, { timeout: 30000 });
-
-    return puppeteerPage.evaluate((sel, pNum) => {
-        const imageElements = document.querySelectorAll(sel);
-        // Filter for elements that are actual images with a data URI source.
-        const dataImageSources = Array.from(imageElements)
-            .map(img => img.src)
-            .filter(src => src && src.startsWith('data:image'));
-
-        const numImages = dataImageSources.length;
-
-        // Requirement: Handle single page view
-        if (numImages === 1) {
-            return dataImageSources[0];
-        }
+const isAllowedOrigin = (origin, req) => {
+    if (corsOrigins.includes('*') || corsOrigins.includes(origin)) return true;
+    try {
+        return new URL(origin).host === req.get('Host');
+    } catch (error) {
+        // e.g. "null" from a sandboxed frame or a local file.
+        return false;
+    }
+};
 
-        // Requirement: Handle spread view (2 images)
-        if (numImages === 2) {
-            // On a spread, an even page number corresponds to the left image (index 0)
-            // and an odd page number to the right image (index 1).
-            if (pNum % 2 === 0) { // Even page number
-                return dataImageSources[0]; // Return first image
-            } else { // Odd page number
-                return dataImageSources[1]; // Return second image
-            }
-        }
+app.use((req, res, next) => {
+    const origin = req.get('Origin');
+    if (!origin || isAllowedOrigin(origin, req)) {
+        return next();
+    }
+    res.status(403).json({ error: `Requests from ${origin} are not allowed.` });
+});
+app.use(cors({ origin: corsOrigins.includes('*') ? '*' : corsOrigins }));
+app.use(auth.middleware);
+app.use(express.json());
+app.use(express.static(path.join(__dirname, 'public')));
+// The page range parser is shared with the web UI.
+app.get('/lib/pageRange.js', (req, res) => res.sendFile(path.join(__dirname, 'lib', 'pageRange.js')));
+
+// --- Per-User Limits ---
+// Each user may have limits.userConcurrency jobs and viewer requests at a time and fetch
+// limits.userPagesPerDay pages from the viewers per 24 hours; see lib/userLimits.js. Jobs belong to
+// whoever created them, and only they (and admins) can see and act on them.
+const userLimits = createUserLimits({
+    concurrency: config.limits.userConcurrency,
+    pagesPerDay: config.limits.userPagesPerDay,
+});
 
-        // Requirement: Handle error cases (0, 3, or more images)
-        console.error(`Found ${numImages} images for selector '${sel}' on page ${pNum}, but expected 1 or 2.`);
-        return null;
-    }, selector, pageNumber);
-};
+// --- Download Engine ---
+// The browser pool, page cache and job queue live in lib/engine.js, shared with the CLI.
+// The limits section only applies to the server, which may be shared. The pages a job fetches
+// count towards its owner's quota; jobs without an owner are not limited.
+const engine = createEngine({
+    ...engineOptionsFromConfig(config),
+    maxPagesPerJob: config.limits.maxPagesPerJob,
+    pageQuota: {
+        reserve: (job, pages) => {
+            if (job.owner) userLimits.reserve(job.owner, job.id, pages);
+        },
+        takePage: (job) => !job.owner || userLimits.takePage(job.owner, job.id),
+    },
+});
+const {
+    pageCache,
+    history,
+    fetchPageImage,
+    fetchBookInfo,
+    discoverSelectors,
+    previewSelector,
+    validateBatchParams,
+    createAndEnqueueJob,
+    requeueJob,
+    cancelJob,
+    deleteDownload,
+    runBatch,
+    resumeInterruptedJobs,
+} = engine;
 
 /**
- * Parses a string representing a page range (e.g., "1-10", "5") into an array of numbers.
- * @param {string} rangeStr - The page range string.
- * @returns {number[]} An array of page numbers.
+ * Identifies who made a request: `user:<name>`, or `ip:<address>` when the server runs without
+ * authentication. Stored as the owner of the jobs the request creates.
+ * @param {object} req - The request.
+ * @returns {string}
  */
-const parsePageRange = (rangeStr) => {
-    if (rangeStr.includes('-')) {
-        const [start, end] = rangeStr.split('-').map(Number);
-        if (isNaN(start) || isNaN(end) || start > end) return [];
-        return Array.from({ length: end - start + 1 }, (_, i) => start + i);
-    }
-    const page = Number(rangeStr);
-    return isNaN(page) ? [] : [page];
-};
+const ownerOf = (req) => (req.user ? `user:${req.user.name}` : `ip:${req.ip}`);
 
 /**
- * Extracts components from a Base64 data URI.
- * @param {string} dataURI - The Base64 data URI.
- * @returns {{mimeType: string, extension: string, data: string}|null}
+ * Whether a request may see and act on a job. Without authentication anyone may; with it, the
+ * job's owner and admins may, and everyone may for jobs created before jobs had owners.
+ * @param {object} req - The request.
+ * @param {object} job - The job record.
+ * @returns {boolean}
  */
-const parseDataURI = (dataURI) => {
-    const match = dataURI.match(/^data:(image\/(.+?));base64,(.*)$/);
-    if (!match) return null;
+const canAccessJob = (req, job) => !auth.enabled || req.user.admin || !job.owner || job.owner === ownerOf(req);
 
-    const mimeType = match[1];
-    let extension = match[2];
-    // Handle complex mime types like 'svg+xml' -> 'svg'
-    if (extension.includes('+')) {
-        extension = extension.split('+')[0];
-    }
-     // Simple sanitization
-    extension = extension.replace(/[^a-zA-Z0-9]/g, '');
-
-    return { mimeType, extension, data: match[3] };
+/**
+ * Answers 429 with a Retry-After header if the request's user is over a limit.
+ * @param {object} req - The request.
+ * @param {object} res - The response.
+ * @param {{jobs?: number, pages?: number|null}} [request] - What the request would start; see `userLimits.check`.
+ * @returns {boolean} True if the request was refused.
+ */
+const refuseOverLimit = (req, res, request) => {
+    const refusal = userLimits.check(ownerOf(req), request);
+    if (!refusal) return false;
+    res.setHeader('Retry-After', String(refusal.retryAfter));
+    res.status(429).json({ error: refusal.error });
+    return true;
 };
 
+// A finished job releases the pages it reserved but did not fetch.
+engine.events.on('finished', (job) => {
+    if (job.owner) userLimits.endJob(job.owner, job.id);
+});
 
 // --- API Endpoints ---
 
 // Test download endpoint
 app.post('/api/download-single', async (req, res) => {
-    const { group_name, pdf, page, selector } = req.body;
+    const { group_name, pdf, page } = req.body;
 
-    if (!group_name || !pdf || !page || !selector) {
+    if (!group_name || !pdf || !page) {
         return res.status(400).json({ error: 'Missing required parameters.' });
     }
 
-    const url = `https://viewer.impress.co.jp/viewer.html?group_name=${group_name}&pdf=${pdf}&page=${page}`;
-    let browser = null;
-
-    try {
-        const launchOptions = {};
-        // --no-sandbox is required for running in containerized environments (e.g., Docker).
-        // Use an environment variable to control this for flexibility.
-        if (process.env.PUPPETEER_NO_SANDBOX) {
-            launchOptions.args = ['--no-sandbox', '--disable-setuid-sandbox'];
-        }
-        browser = await puppeteer.launch(launchOptions);
-        const puppeteerPage = await browser.newPage();
-        const base64Image = await getImageBase64(puppeteerPage, url, selector, page);
-
-        if (!base64Image) {
-            return res.status(404).json({ error: 'Image selector not found or image has no src.' });
-        }
+    const pageNumber = Number(page);
+    if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+        return res.status(400).json({ error: 'page must be a positive integer.' });
+    }
 
-        const imageInfo = parseDataURI(base64Image);
-        if (!imageInfo) {
-            return res.status(500).json({ error: 'Invalid Base64 image format.' });
-        }
+    const { adapter, error: adapterError } = resolveAdapter(req.body);
+    if (adapterError) {
+        return res.status(400).json({ error: adapterError });
+    }
+    const selectorError = req.body.selector ? validateSelector(req.body.selector) : null;
+    if (selectorError) {
+        return res.status(400).json({ error: selectorError });
+    }
+    const selector = req.body.selector || adapter.defaultSelector;
 
+    if (refuseOverLimit(req, res, { pages: 1 })) return;
+    const release = userLimits.startRequest(ownerOf(req));
+    try {
+        const imageInfo = await fetchPageImage(adapter, { group_name, pdf }, selector, pageNumber);
+        if (!imageInfo.fromCache) userLimits.recordPages(ownerOf(req));
         const buffer = Buffer.from(imageInfo.data, 'base64');
 
         res.setHeader('Content-Type', imageInfo.mimeType);
-        res.setHeader('Content-Disposition', `attachment; filename="page_${page}.${imageInfo.extension}"`);
+        res.setHeader('Content-Disposition', `attachment; filename="page_${pageNumber}.${imageInfo.extension}"`);
+        res.setHeader('X-Page-Cache', imageInfo.fromCache ? 'hit' : 'miss');
         res.send(buffer);
 
     } catch (error) {
+        const failureClass = classifyError(error);
+        if (failureClass === FAILURE_CLASSES.SELECTOR_NOT_FOUND || failureClass === FAILURE_CLASSES.IMAGE_COUNT) {
+            return res.status(404).json({ error: `Image selector not found or image has no src. ${error.message}`, failureClass: failureClass.name });
+        }
         console.error('Error during single page download:', error);
         res.status(500).json({ error: `An error occurred: ${error.message}` });
     } finally {
-        if (browser) {
-            await browser.close();
+        release();
+    }
+});
+
+// Parse pasted viewer URLs into adapter, group_name, pdf and page
+app.post('/api/parse-viewer-url', (req, res) => {
+    const { urls } = req.body;
+    if (!urls || (Array.isArray(urls) && urls.length === 0)) {
+        return res.status(400).json({ error: 'Missing required parameters.' });
+    }
+
+    const results = parseViewerUrls(urls);
+    res.json({ results, books: uniqueBooks(results.filter(result => !result.error)) });
+});
+
+// List the available viewer adapters
+app.get('/api/adapters', (req, res) => {
+    res.json({ adapters: listAdapters() });
+});
+
+// Detect the page count and metadata of a book
+app.post('/api/book-info', async (req, res) => {
+    const { group_name, pdf } = req.body;
+
+    if (!group_name || !pdf) {
+        return res.status(400).json({ error: 'Missing required parameters.' });
+    }
+
+    const { adapter, error: adapterError } = resolveAdapter(req.body);
+    if (adapterError) {
+        return res.status(400).json({ error: adapterError });
+    }
+
+    if (refuseOverLimit(req, res)) return;
+    const release = userLimits.startRequest(ownerOf(req));
+    try {
+        res.json(await fetchBookInfo(adapter, { group_name, pdf }));
+    } catch (error) {
+        console.error('Error detecting book info:', error);
+        res.status(500).json({ error: `An error occurred: ${error.message}` });
+    } finally {
+        release();
+    }
+});
+
+// List the images on a viewer page that could be the page image, each with a selector that picks
+// it and a thumbnail; for finding a new selector when the default one stops matching
+app.post('/api/selector-candidates', async (req, res) => {
+    const { group_name, pdf, page = 1 } = req.body;
+
+    if (!group_name || !pdf) {
+        return res.status(400).json({ error: 'Missing required parameters.' });
+    }
+    const pageNumber = Number(page);
+    if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+        return res.status(400).json({ error: 'page must be a positive integer.' });
+    }
+
+    const { adapter, error: adapterError } = resolveAdapter(req.body);
+    if (adapterError) {
+        return res.status(400).json({ error: adapterError });
+    }
+
+    if (refuseOverLimit(req, res, { pages: 1 })) return;
+    const release = userLimits.startRequest(ownerOf(req));
+    try {
+        const result = await discoverSelectors(adapter, { group_name, pdf }, pageNumber);
+        userLimits.recordPages(ownerOf(req));
+        res.json({ page: pageNumber, defaultSelector: adapter.defaultSelector, ...result });
+    } catch (error) {
+        console.error('Error discovering image selectors:', error);
+        res.status(500).json({ error: `An error occurred: ${error.message}` });
+    } finally {
+        release();
+    }
+});
+
+// Show which images a selector matches on a page and which one the viewer's spread rule picks,
+// before starting a batch with it
+app.post('/api/selector-preview', async (req, res) => {
+    const { group_name, pdf, page } = req.body;
+
+    if (!group_name || !pdf || !page) {
+        return res.status(400).json({ error: 'Missing required parameters.' });
+    }
+    const pageNumber = Number(page);
+    if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+        return res.status(400).json({ error: 'page must be a positive integer.' });
+    }
+
+    const { adapter, error: adapterError } = resolveAdapter(req.body);
+    if (adapterError) {
+        return res.status(400).json({ error: adapterError });
+    }
+    const selectorError = req.body.selector ? validateSelector(req.body.selector) : null;
+    if (selectorError) {
+        return res.status(400).json({ error: selectorError });
+    }
+    const selector = req.body.selector || adapter.defaultSelector;
+
+    if (refuseOverLimit(req, res, { pages: 1 })) return;
+    const release = userLimits.startRequest(ownerOf(req));
+    try {
+        const result = await previewSelector(adapter, { group_name, pdf }, selector, pageNumber);
+        userLimits.recordPages(ownerOf(req));
+        res.json({ page: pageNumber, selector, ...result });
+    } catch (error) {
+        if (classifyError(error) === FAILURE_CLASSES.SELECTOR_NOT_FOUND) {
+            return res.status(404).json({ error: error.message, failureClass: FAILURE_CLASSES.SELECTOR_NOT_FOUND.name });
         }
+        console.error('Error previewing image selector:', error);
+        res.status(500).json({ error: `An error occurred: ${error.message}` });
+    } finally {
+        release();
+    }
+});
+
+// Describe the page cache: its limits and one entry per cached book (filter with adapter, group_name, pdf)
+app.get('/api/cache', async (req, res) => {
+    const { adapter, group_name, pdf } = req.query;
+    try {
+        res.json(await pageCache.stats({ adapter, group_name, pdf }));
+    } catch (error) {
+        console.error('Error reading the page cache:', error);
+        res.status(500).json({ error: `An error occurred: ${error.message}` });
+    }
+});
+
+// Purge the page cache; adapter, group_name and pdf limit the purge to matching books.
+// The cache is shared by every user, so with authentication only admins may purge it
+app.delete('/api/cache', async (req, res) => {
+    if (auth.enabled && !req.user.admin) {
+        return res.status(403).json({ error: 'Only admins can purge the page cache.' });
+    }
+    const { adapter, group_name, pdf } = req.query;
+    try {
+        res.json(await pageCache.purge({ adapter, group_name, pdf }));
+    } catch (error) {
+        console.error('Error purging the page cache:', error);
+        res.status(500).json({ error: `An error occurred: ${error.message}` });
+    }
+});
+
+// --- Server-Sent Events (SSE) ---
+// Progress events are numbered and buffered per job, so a client can connect after starting a job,
+// reconnect with Last-Event-ID, or watch a job from several tabs. Jobs started with a clientId
+// (POST /api/download-batch) are also published on a topic of that client.
+const progressChannel = createProgressChannel();
+
+/**
+ * Names the topic of an SSE client. With authentication it includes the user, so a client ID
+ * alone does not let another user follow someone's jobs.
+ * @param {string|null} owner - The owner of the jobs, as from `ownerOf`.
+ * @param {string} clientId - The client ID.
+ * @returns {string}
+ */
+const clientTopic = (owner, clientId) => (auth.enabled ? `client:${owner}:${clientId}` : `client:${clientId}`);
+
+engine.events.on('progress', (job, data) => {
+    const event = { jobId: job.id, ...data };
+    progressChannel.publish(`job:${job.id}`, event);
+    if (job.clientId) {
+        progressChannel.publish(clientTopic(job.owner, job.clientId), event);
     }
 });
 
-// --- SSE Global State ---
-// Caution: This is a simple in-memory solution. In a real-world, scalable application,
-// you would use a more robust solution like Redis or a dedicated message broker.
-const sseClients = new Map();
+/**
+ * Returns the ID of the last event a reconnecting client saw: the Last-Event-ID header that
+ * EventSource sends on its own, or the lastEventId query parameter of a new EventSource.
+ * @param {object} req - The request.
+ * @returns {string|undefined}
+ */
+const getLastEventId = (req) => req.get('Last-Event-ID') || req.query.lastEventId;
 
-// --- Server-Sent Events (SSE) Endpoint ---
+// Progress of every job started with this clientId
 app.get('/api/progress', (req, res) => {
-    // A unique ID for each client is essential for targeted updates.
     const clientId = req.query.clientId;
     if (!clientId) {
         res.status(400).send('clientId is required');
         return;
     }
+    progressChannel.watch(clientTopic(ownerOf(req), clientId), req, res, { lastEventId: getLastEventId(req) });
+});
 
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-    res.flushHeaders();
-
-    sseClients.set(clientId, res);
-    console.log(`Client connected for SSE: ${clientId}`);
 
-    req.on('close', () => {
-        sseClients.delete(clientId);
-        console.log(`Client disconnected from SSE: ${clientId}`);
+// --- Batch Jobs ---
+/**
+ * Builds the per-page outcome list of a job: fetched, failed or flagged (with reason) or pending.
+ * @param {object} job - The job record.
+ * @returns {Array<{page: number, status: string, reason?: string}>}
+ */
+const getPageOutcomes = (job) => {
+    const failed = new Map(job.failedPages.map(({ page, reason }) => [page, reason]));
+    const flagged = new Map((job.flaggedPages || []).map(({ page, reason }) => [page, reason]));
+    return (job.pages || []).map(page => {
+        if (job.fetched[page]) return { page, status: 'fetched' };
+        if (failed.has(page)) return { page, status: 'failed', reason: failed.get(page) };
+        if (flagged.has(page)) return { page, status: 'flagged', reason: flagged.get(page) };
+        return { page, status: 'pending' };
     });
+};
+
+/**
+ * Returns the public view of a job, without internal fields such as the SSE client ID.
+ * @param {object} job - The job record.
+ * @returns {object}
+ */
+const summarizeJob = (job) => ({
+    id: job.id,
+    status: job.status,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    params: job.params,
+    // Null until an open-ended page range has been expanded.
+    totalPages: job.pages ? job.pages.length : null,
+    fetchedCount: Object.keys(job.fetched).length,
+    failedCount: job.failedPages.length,
+    failedPages: job.failedPages,
+    // Jobs created before page checks existed have no flaggedPages.
+    flaggedCount: (job.flaggedPages || []).length,
+    flaggedPages: job.flaggedPages || [],
+    book: job.book || null,
+    artifact: job.artifact,
+    error: job.error,
 });
 
 /**
- * Sends a progress update to a specific client via SSE.
- * @param {string} clientId - The unique identifier for the client.
- * @param {object} data - The data payload to send.
+ * Streams a file as the response body. If the file cannot be read, the response becomes an error
+ * while nothing has been sent yet, and is cut off otherwise.
+ * @param {object} res - The Express response object, with the download headers set.
+ * @param {string} file - The file to send.
+ * @param {{status: number, error: string}} missing - The answer if the file does not exist.
  */
-const sendProgress = (clientId, data) => {
-    const client = sseClients.get(clientId);
-    if (client) {
-        client.write(`data: ${JSON.stringify(data)}\n\n`);
+const streamFile = (res, file, missing) => {
+    fs.createReadStream(file)
+        .on('error', (error) => {
+            if (res.headersSent) {
+                res.destroy(error);
+                return;
+            }
+            // The headers were meant for the file.
+            res.removeHeader('Content-Type');
+            res.removeHeader('Content-Disposition');
+            if (error.code === 'ENOENT') {
+                return res.status(missing.status).json({ error: missing.error });
+            }
+            console.error(`Error reading ${file}:`, error);
+            res.status(500).json({ error: `An error occurred: ${error.message}` });
+        })
+        .pipe(res);
+};
+
+/**
+ * Sends the assembled artifact of a finished job as a file download.
+ * @param {object} res - The Express response object.
+ * @param {object} job - The finished job record.
+ */
+const sendArtifact = (res, job) => {
+    // Expose detailed failed pages info to the client
+    if (job.failedPages.length > 0) {
+        res.setHeader('X-Failed-Pages', JSON.stringify(job.failedPages));
     }
+    if (job.flaggedPages && job.flaggedPages.length > 0) {
+        res.setHeader('X-Flagged-Pages', JSON.stringify(job.flaggedPages));
+    }
+    res.setHeader('X-Job-Id', job.id);
+    res.setHeader('Access-Control-Expose-Headers', 'X-Job-Id, X-Failed-Pages, X-Flagged-Pages');
+    res.setHeader('Content-Type', job.artifact.mimeType);
+    res.setHeader('Content-Disposition', `attachment; filename="${job.artifact.filename}"`);
+    streamFile(res, artifactPath(job, job.params.output_format), { status: 410, error: 'The output file of this job no longer exists.' });
 };
 
+/**
+ * Loads the job of a `/api/jobs/:jobId` route, answering 404 or 403 itself if the job does not
+ * exist or belongs to another user.
+ * @param {object} req - The request.
+ * @param {object} res - The response.
+ * @returns {Promise<object|null>} The job record, or null if the response has been sent.
+ */
+const loadJobFor = async (req, res) => {
+    const job = await loadJob(req.params.jobId);
+    if (!job) {
+        res.status(404).json({ error: 'Job not found.' });
+        return null;
+    }
+    if (!canAccessJob(req, job)) {
+        res.status(403).json({ error: 'This job belongs to another user.' });
+        return null;
+    }
+    return job;
+};
 
-// Batch download endpoint
-app.post('/api/download-batch', async (req, res) => {
-    const { group_name, pdf, page_range, selector, output_format, clientId } = req.body;
+// List all jobs the user may see, newest first
+app.get('/api/jobs', async (req, res) => {
+    try {
+        const jobs = (await listJobs()).filter(job => canAccessJob(req, job));
+        res.json({ jobs: jobs.reverse().map(summarizeJob) });
+    } catch (error) {
+        console.error('Error listing jobs:', error);
+        res.status(500).json({ error: `An error occurred: ${error.message}` });
+    }
+});
+
+// Inspect a single job, including the outcome of every page
+app.get('/api/jobs/:jobId', async (req, res) => {
+    try {
+        const job = await loadJobFor(req, res);
+        if (!job) return;
+        res.json({ ...summarizeJob(job), pages: getPageOutcomes(job) });
+    } catch (error) {
+        console.error('Error loading job:', error);
+        res.status(500).json({ error: `An error occurred: ${error.message}` });
+    }
+});
+
+// Download the output file of a finished job
+app.get('/api/jobs/:jobId/download', async (req, res) => {
+    try {
+        const job = await loadJobFor(req, res);
+        if (!job) return;
+        if (job.status !== 'done' || !job.artifact) {
+            return res.status(409).json({ error: `Job has no output yet (status: ${job.status}).` });
+        }
+        sendArtifact(res, job);
+    } catch (error) {
+        console.error('Error downloading job output:', error);
+        res.status(500).json({ error: `An error occurred: ${error.message}` });
+    }
+});
+
+// Follow the progress of a job as Server-Sent Events; the stream starts with a
+// { type: 'snapshot', job } event of the job's current state, then replays what the client missed
+app.get('/api/jobs/:jobId/events', async (req, res) => {
+    try {
+        const job = await loadJobFor(req, res);
+        if (!job) return;
+        progressChannel.watch(`job:${job.id}`, req, res, {
+            lastEventId: getLastEventId(req),
+            initialEvents: [{ type: 'snapshot', jobId: job.id, job: summarizeJob(job) }],
+        });
+    } catch (error) {
+        console.error('Error watching job progress:', error);
+        res.status(500).json({ error: `An error occurred: ${error.message}` });
+    }
+});
+
+// Cancel a queued or running job; the pages a running job has open are closed right away
+app.post('/api/jobs/:jobId/cancel', async (req, res) => {
+    try {
+        const job = await loadJobFor(req, res);
+        if (!job) return;
+
+        const status = await cancelJob(job);
+        if (!status) {
+            return res.status(409).json({ error: `Job cannot be cancelled (status: ${job.status}).` });
+        }
+        // A running job records the cancelled status once the page in flight has stopped.
+        res.status(status === 'cancelling' ? 202 : 200).json({ jobId: job.id, status });
+    } catch (error) {
+        console.error('Error cancelling job:', error);
+        res.status(500).json({ error: `An error occurred: ${error.message}` });
+    }
+});
+
+// Create a batch job and return its ID without waiting for it to finish
+app.post('/api/jobs', async (req, res) => {
+    const result = validateBatchParams(req.body);
+    if (result.error) {
+        return res.status(400).json({ error: result.error });
+    }
+    if (refuseOverLimit(req, res, { pages: result.pages ? result.pages.length : null })) return;
+
+    try {
+        const job = await createAndEnqueueJob(result, req.body.clientId, ownerOf(req));
+        userLimits.startJob(job.owner, job.id);
+        res.status(202).json({ jobId: job.id, status: job.status });
+    } catch (error) {
+        console.error('Error creating job:', error);
+        res.status(500).json({ error: `An error occurred: ${error.message}` });
+    }
+});
 
-    if (!group_name || !pdf || !page_range || !selector || !output_format || !clientId) {
+// Create one batch job per book from a list of pasted viewer URLs; the other options apply to every job
+app.post('/api/jobs/from-urls', async (req, res) => {
+    const { urls } = req.body;
+    if (!urls || (Array.isArray(urls) && urls.length === 0)) {
         return res.status(400).json({ error: 'Missing required parameters.' });
     }
 
-    const pages = parsePageRange(page_range);
-    if (pages.length === 0) {
-        return res.status(400).json({ error: 'Invalid page range provided.' });
+    const results = parseViewerUrls(urls);
+    const invalid = results.filter(result => result.error);
+    if (invalid.length > 0) {
+        return res.status(400).json({ error: 'Some URLs could not be used.', invalid });
     }
 
-    let browser = null;
+    const books = uniqueBooks(results);
+    const validated = [];
+    for (const { adapter, group_name, pdf } of books) {
+        const result = validateBatchParams({ ...req.body, adapter, group_name, pdf });
+        if (result.error) {
+            return res.status(400).json({ error: `${group_name}/${pdf}: ${result.error}` });
+        }
+        validated.push(result);
+    }
+    // Null if a book's length is only known once its job runs.
+    const pages = validated.some(result => !result.pages)
+        ? null
+        : validated.reduce((sum, result) => sum + result.pages.length, 0);
+    if (refuseOverLimit(req, res, { jobs: validated.length, pages })) return;
 
     try {
-        const launchOptions = {};
-        if (process.env.PUPPETEER_NO_SANDBOX) {
-            launchOptions.args = ['--no-sandbox', '--disable-setuid-sandbox'];
+        const jobs = [];
+        for (const result of validated) {
+            const job = await createAndEnqueueJob(result, req.body.clientId, ownerOf(req));
+            userLimits.startJob(job.owner, job.id);
+            jobs.push({ jobId: job.id, status: job.status, group_name: job.params.group_name, pdf: job.params.pdf });
         }
-        browser = await puppeteer.launch(launchOptions);
-        const puppeteerPage = await browser.newPage();
-
-        const images = [];
-        const failedPages = [];
-        const totalPages = pages.length;
-
-        for (let i = 0; i < totalPages; i++) {
-            const page = pages[i];
-            const progress = Math.round(((i + 1) / totalPages) * 100);
-            const url = `https://viewer.impress.co.jp/viewer.html?group_name=${group_name}&pdf=${pdf}&page=${page}`;
-
-            sendProgress(clientId, { type: 'log', message: `Fetching page ${page} (${i + 1}/${totalPages})...` });
-
-            try {
-                const base64Image = await getImageBase64(puppeteerPage, url, selector, page);
-                if (base64Image) {
-                    images.push({ page, base64Image });
-                    sendProgress(clientId, { type: 'log', message: `Successfully fetched page ${page}.` });
-                } else {
-                    const reason = 'Image source was empty or not found.';
-                    failedPages.push({ page, reason });
-                    sendProgress(clientId, { type: 'log', message: `Failed to fetch page ${page}: ${reason}`, isError: true });
-                }
-                 // Keep a delay to avoid overwhelming the server
-                await new Promise(resolve => setTimeout(resolve, 1500));
-
-            } catch (pageError) {
-                console.error(`Failed to fetch page ${page}:`, pageError.message);
-                let reason = pageError.message;
-                if (pageError.name === 'TimeoutError') {
-                    reason = 'Timeout waiting for page/selector.';
-                }
-                failedPages.push({ page, reason });
-                sendProgress(clientId, { type: 'log', message: `Failed to fetch page ${page}: ${reason}`, isError: true });
-            }
+        res.status(202).json({ jobs });
+    } catch (error) {
+        console.error('Error creating jobs from URLs:', error);
+        res.status(500).json({ error: `An error occurred: ${error.message}` });
+    }
+});
 
-            sendProgress(clientId, { type: 'progress', value: progress });
+// Resume an interrupted or failed job; only the pages still missing are fetched
+app.post('/api/jobs/:jobId/resume', async (req, res) => {
+    try {
+        const job = await loadJobFor(req, res);
+        if (!job) return;
+        if (job.status === 'queued' || job.status === 'running') {
+            return res.status(409).json({ error: `Job is already ${job.status}.` });
         }
+        if (refuseOverLimit(req, res, { pages: job.pages ? getMissingPages(job).length : null })) return;
 
-        sendProgress(clientId, { type: 'log', message: 'All pages processed. Compiling output file...' });
+        const result = await requeueJob(job, req.body);
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        if (job.owner) userLimits.startJob(job.owner, job.id);
+        res.status(202).json({ jobId: job.id, status: job.status, missingPages: result.missingPages });
+    } catch (error) {
+        console.error('Error resuming job:', error);
+        res.status(500).json({ error: `An error occurred: ${error.message}` });
+    }
+});
 
-        if (images.length === 0) {
-            return res.status(404).json({ error: 'No images could be downloaded.' });
+// Re-run only the failed and flagged pages of a finished job and merge them into its existing output
+app.post('/api/jobs/:jobId/retry-failed', async (req, res) => {
+    try {
+        const job = await loadJobFor(req, res);
+        if (!job) return;
+        if (job.status !== 'done' && job.status !== 'failed') {
+            return res.status(409).json({ error: `Only finished jobs can retry failed pages (status: ${job.status}).` });
+        }
+        if (job.failedPages.length === 0 && (job.flaggedPages || []).length === 0) {
+            return res.status(409).json({ error: 'Job has no failed or flagged pages.' });
         }
+        if (refuseOverLimit(req, res, { pages: job.pages ? getMissingPages(job).length : null })) return;
 
-        // Expose detailed failed pages info to the client
-        if (failedPages.length > 0) {
-            res.setHeader('X-Failed-Pages', JSON.stringify(failedPages));
-            res.setHeader('Access-Control-Expose-Headers', 'X-Failed-Pages');
+        const result = await requeueJob(job, req.body);
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
         }
+        if (job.owner) userLimits.startJob(job.owner, job.id);
+        res.status(202).json({ jobId: job.id, status: job.status, retryPages: result.missingPages });
+    } catch (error) {
+        console.error('Error retrying failed pages:', error);
+        res.status(500).json({ error: `An error occurred: ${error.message}` });
+    }
+});
 
-        if (output_format === 'zip') {
-            res.setHeader('Content-Type', 'application/zip');
-            res.setHeader('Content-Disposition', `attachment; filename="${group_name}.zip"`);
-            const archive = archiver('zip', { zlib: { level: 9 } });
-            archive.pipe(res);
-            for (const img of images) {
-                const imageInfo = parseDataURI(img.base64Image);
-                if (imageInfo) {
-                    const buffer = Buffer.from(imageInfo.data, 'base64');
-                    archive.append(buffer, { name: `page_${img.page}.${imageInfo.extension}` });
-                }
-            }
-            await archive.finalize();
-
-        } else if (output_format === 'pdf') {
-            const pdfDoc = await PDFDocument.create();
-            for (const img of images) {
-                const imageInfo = parseDataURI(img.base64Image);
-                if (!imageInfo) continue;
-
-                try {
-                    const buffer = Buffer.from(imageInfo.data, 'base64');
-                    let image;
-                    if (imageInfo.mimeType === 'image/png') {
-                        image = await pdfDoc.embedPng(buffer);
-                    } else if (imageInfo.mimeType === 'image/jpeg' || imageInfo.mimeType === 'image/jpg') {
-                        image = await pdfDoc.embedJpg(buffer);
-                    } else {
-                        console.warn(`Skipping unsupported image type for PDF: ${imageInfo.mimeType}`);
-                        continue; // Skip unsupported types for PDF
-                    }
-
-                    const pdfPage = pdfDoc.addPage([image.width, image.height]);
-                    pdfPage.drawImage(image, { x: 0, y: 0, width: image.width, height: image.height });
-
-                } catch (pdfError) {
-                    console.error(`Failed to embed page ${img.page} into PDF:`, pdfError.message);
-                }
-            }
-            const pdfBytes = await pdfDoc.save();
-            res.setHeader('Content-Type', 'application/pdf');
-            res.setHeader('Content-Disposition', `attachment; filename="${group_name}.pdf"`);
-            res.send(Buffer.from(pdfBytes));
+// Batch download endpoint: runs a job and responds with its output file once it is done
+app.post('/api/download-batch', async (req, res) => {
+    const { clientId } = req.body;
+
+    const result = validateBatchParams(req.body);
+    if (!result.error && !clientId) {
+        result.error = 'Missing required parameters.';
+    }
+    if (result.error) {
+        return res.status(400).json({ error: result.error });
+    }
+    if (refuseOverLimit(req, res, { pages: result.pages ? result.pages.length : null })) return;
+
+    // The job counts towards the user's limit for as long as the request waits for it.
+    const release = userLimits.startRequest(ownerOf(req));
+    try {
+        const finishedJob = await runBatch(result, clientId, ownerOf(req));
+
+        if (finishedJob.status === 'cancelled') {
+            return res.status(409).json({ error: 'Job was cancelled.', jobId: finishedJob.id });
+        }
+        if (finishedJob.status !== 'done') {
+            const status = finishedJob.error === 'No images could be downloaded.' ? 404 : 500;
+            return res.status(status).json({ error: finishedJob.error, jobId: finishedJob.id });
         }
 
-        sendProgress(clientId, { type: 'complete', failedPages });
+        sendArtifact(res, finishedJob);
 
     } catch (error) {
         console.error('Error during batch download:', error);
-        sendProgress(clientId, { type: 'error', message: error.message });
         res.status(500).json({ error: `An error occurred: ${error.message}` });
     } finally {
-        if (browser) {
-            await browser.close();
+        release();
+    }
+});
+
+// --- Download History ---
+// Every job that finished with an output file is kept in the history (see lib/history.js) until
+// it is deleted, so past downloads can be found, downloaded again or re-run with other options.
+
+/**
+ * Loads the history entry of a `/api/history/:id` route, answering 404 or 403 itself if there is
+ * no such entry or it belongs to another user.
+ * @param {object} req - The request.
+ * @param {object} res - The response.
+ * @returns {Promise<object|null>} The entry, or null if the response has been sent.
+ */
+const loadHistoryEntryFor = async (req, res) => {
+    const entry = await history.get(req.params.id);
+    if (!entry) {
+        res.status(404).json({ error: 'Download not found in the history.' });
+        return null;
+    }
+    if (!canAccessJob(req, entry)) {
+        res.status(403).json({ error: 'This download belongs to another user.' });
+        return null;
+    }
+    return entry;
+};
+
+/**
+ * Turns the stored parameters of a job back into a request body for `validateBatchParams`.
+ * @param {object} params - The job parameters.
+ * @returns {object}
+ */
+const requestBodyFromParams = ({ metadata = {}, ...params }) => ({ ...params, ...metadata });
+
+// List past downloads, most recent first; q searches titles, authors, book IDs and file names
+app.get('/api/history', async (req, res) => {
+    const { q, format } = req.query;
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500 || !Number.isInteger(offset) || offset < 0) {
+        return res.status(400).json({ error: 'limit must be an integer between 1 and 500 and offset a non-negative integer.' });
+    }
+
+    try {
+        // Without authentication everyone sees everything, as with jobs.
+        const owner = auth.enabled && !req.user.admin ? ownerOf(req) : undefined;
+        res.json(await history.list({ query: q, format, owner, limit, offset }));
+    } catch (error) {
+        console.error('Error listing the download history:', error);
+        res.status(500).json({ error: `An error occurred: ${error.message}` });
+    }
+});
+
+// Inspect a past download
+app.get('/api/history/:id', async (req, res) => {
+    try {
+        const entry = await loadHistoryEntryFor(req, res);
+        if (!entry) return;
+        res.json(entry);
+    } catch (error) {
+        console.error('Error loading a past download:', error);
+        res.status(500).json({ error: `An error occurred: ${error.message}` });
+    }
+});
+
+// Download the saved output file of a past download again
+app.get('/api/history/:id/download', async (req, res) => {
+    try {
+        const entry = await loadHistoryEntryFor(req, res);
+        if (!entry) return;
+        res.setHeader('X-Job-Id', entry.id);
+        res.setHeader('Access-Control-Expose-Headers', 'X-Job-Id');
+        res.setHeader('Content-Type', entry.artifact.mimeType);
+        res.setHeader('Content-Disposition', `attachment; filename="${entry.artifact.filename}"`);
+        streamFile(res, entry.artifact.path, { status: 410, error: 'The output file of this download no longer exists.' });
+    } catch (error) {
+        console.error('Error downloading a past download:', error);
+        res.status(500).json({ error: `An error occurred: ${error.message}` });
+    }
+});
+
+// Run a past download again as a new job; the body overrides any of its options (page_range, output_format, ...)
+app.post('/api/history/:id/rerun', async (req, res) => {
+    try {
+        const entry = await loadHistoryEntryFor(req, res);
+        if (!entry) return;
+
+        const result = validateBatchParams({ ...requestBodyFromParams(entry.params), ...req.body });
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
         }
+        if (refuseOverLimit(req, res, { pages: result.pages ? result.pages.length : null })) return;
+
+        const job = await createAndEnqueueJob(result, req.body.clientId, ownerOf(req));
+        userLimits.startJob(job.owner, job.id);
+        res.status(202).json({ jobId: job.id, status: job.status });
+    } catch (error) {
+        console.error('Error re-running a past download:', error);
+        res.status(500).json({ error: `An error occurred: ${error.message}` });
+    }
+});
+
+// Delete a past download with its output file and fetched pages
+app.delete('/api/history/:id', async (req, res) => {
+    try {
+        const entry = await loadHistoryEntryFor(req, res);
+        if (!entry) return;
+
+        const result = await deleteDownload(entry.id);
+        if (!result) {
+            return res.status(404).json({ error: 'Download not found in the history.' });
+        }
+        if (result.error) {
+            return res.status(409).json({ error: result.error });
+        }
+        res.json({ id: entry.id, deleted: true });
+    } catch (error) {
+        console.error('Error deleting a past download:', error);
+        res.status(500).json({ error: `An error occurred: ${error.message}` });
     }
 });
 
 
 app.listen(port, () => {
   console.log(`Server is running on http://localhost:${port}`);
+  resumeInterruptedJobs().catch(error => console.error('Failed to resume interrupted jobs:', error));
 });
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { createSlickCarouselAdapter } = require('../lib/adapters/slickCarousel');
+const { fakeViewerPage } = require('./support/fakeViewerPage');
+
+const ADAPTERS_DIR = path.join(__dirname, '..', 'lib', 'adapters') + path.sep;
+
+/**
+ * Loads the adapter registry afresh, so it sees the current LOCAL_VIEWER_URL.
+ */
+const loadAdapters = () => {
+    for (const file of Object.keys(require.cache)) {
+        if (file.startsWith(ADAPTERS_DIR)) delete require.cache[file];
+    }
+    return require('../lib/adapters');
+};
+
+/**
+ * Sets LOCAL_VIEWER_URL, or unsets it, until the test ends.
+ * @param {object} t - The test context.
+ * @param {string} [viewerUrl]
+ */
+const setViewerUrl = (t, viewerUrl) => {
+    const saved = process.env.LOCAL_VIEWER_URL;
+    t.after(() => {
+        if (saved === undefined) delete process.env.LOCAL_VIEWER_URL;
+        else process.env.LOCAL_VIEWER_URL = saved;
+    });
+    if (viewerUrl === undefined) delete process.env.LOCAL_VIEWER_URL;
+    else process.env.LOCAL_VIEWER_URL = viewerUrl;
+};
+
+test('the local adapter', async (t) => {
+    await t.test('is not registered without LOCAL_VIEWER_URL', (t) => {
+        setViewerUrl(t);
+        const adapters = loadAdapters();
+        assert.deepEqual(adapters.listAdapters().map(adapter => adapter.name), ['impress']);
+        assert.equal(adapters.getAdapter('local'), null);
+        assert.equal(adapters.parseViewerUrl('http://localhost:4000/viewer.html?group_name=g&pdf=b&page=1'), null);
+    });
+
+    await t.test('points at LOCAL_VIEWER_URL when it is set', (t) => {
+        setViewerUrl(t, 'http://127.0.0.1:4100/viewer.html');
+        const adapters = loadAdapters();
+        assert.deepEqual(adapters.listAdapters().map(adapter => adapter.name), ['impress', 'local']);
+        const local = adapters.getAdapter('local');
+        assert.equal(local.buildUrl({ group_name: 'g', pdf: 'b' }, 3), 'http://127.0.0.1:4100/viewer.html?group_name=g&pdf=b&page=3');
+        const parsed = adapters.parseViewerUrl('http://127.0.0.1:4100/viewer.html?group_name=g&pdf=b&page=3');
+        assert.equal(parsed.adapter, local);
+        assert.equal(parsed.page, 3);
+    });
+});
+
+test('slick carousel adapters', async (t) => {
+    const adapter = createSlickCarouselAdapter({
+        name: 'example',
+        description: 'Example viewer',
+        viewerUrl: () => 'https://viewer.example/books/viewer.html',
+    });
+
+    await t.test('build and parse viewer URLs', () => {
+        const url = adapter.buildUrl({ group_name: 'g', pdf: 'b 1' }, 7);
+        assert.equal(url, 'https://viewer.example/books/viewer.html?group_name=g&pdf=b+1&page=7');
+        assert.deepEqual(adapter.parseUrl(url), { group_name: 'g', pdf: 'b 1', page: 7 });
+        assert.deepEqual(adapter.parseUrl('https://viewer.example/books/viewer.html?group_name=g&pdf=b&page=x'),
+            { group_name: 'g', pdf: 'b', page: null });
+    });
+
+    await t.test('do not parse URLs of other viewers or without a book', () => {
+        assert.equal(adapter.parseUrl('https://other.example/books/viewer.html?group_name=g&pdf=b'), null);
+        assert.equal(adapter.parseUrl('https://viewer.example/viewer.html?group_name=g&pdf=b'), null);
+        assert.equal(adapter.parseUrl('https://viewer.example/books/viewer.html?group_name=g'), null);
+        assert.equal(adapter.parseUrl('not a url'), null);
+    });
+
+    await t.test('accept only plain book IDs', () => {
+        assert.equal(adapter.validateBook({ group_name: 'g-1', pdf: 'book_2.v3' }), null);
+        assert.match(adapter.validateBook({ group_name: '../g', pdf: 'b' }), /Invalid group_name/);
+        assert.match(adapter.validateBook({ group_name: 'g', pdf: 'b/c' }), /Invalid pdf/);
+    });
+
+    await t.test('pick the left image of a spread for even pages by default', () => {
+        assert.equal(adapter.pickImage(['left', 'right'], 4), 'left');
+        assert.equal(adapter.pickImage(['left', 'right'], 5), 'right');
+        assert.equal(adapter.pickImage(['only'], 5), 'only');
+        assert.equal(adapter.pickImage(['a', 'b', 'c'], 5), null);
+    });
+
+    await t.test('take a different spread rule', () => {
+        const oddLeft = createSlickCarouselAdapter({
+            name: 'odd-left',
+            description: 'Odd pages on the left',
+            viewerUrl: () => 'https://viewer.example/viewer.html',
+            pickImage: (sources, page) => (sources.length === 2 ? sources[page % 2 === 0 ? 1 : 0] : sources[0] || null),
+        });
+        assert.equal(oddLeft.pickImage(['left', 'right'], 4), 'right');
+        assert.equal(oddLeft.pickImage(['left', 'right'], 5), 'left');
+    });
+
+    await t.test('detect the page count of a book', async () => {
+        const page = fakeViewerPage({ slides: [1, 2, 2], counter: '1 / 24', ogTitle: 'Example Book' });
+        const url = adapter.buildUrl({ group_name: 'g', pdf: 'b' }, 1);
+        assert.deepEqual(await adapter.detectBookInfo(page, url, { timeout: 1000, selectorTimeout: 100 }),
+            { totalPages: 24, title: 'Example Book', spread: true, method: 'counter' });
+        assert.equal(page.calls[0].url, url);
+    });
+
+    await t.test('are what the impress adapter is made of', () => {
+        const impress = loadAdapters().getAdapter('impress');
+        assert.equal(impress.buildUrl({ group_name: 'g', pdf: 'b' }, 2), 'https://viewer.impress.co.jp/viewer.html?group_name=g&pdf=b&page=2');
+        assert.equal(impress.pickImage(['left', 'right'], 2), 'left');
+        assert.equal(impress.detectBookInfo, adapter.detectBookInfo);
+    });
+});
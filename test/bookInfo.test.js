@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { detectBookInfo } = require('../lib/bookInfo');
+const { fakeViewerPage: fakePage } = require('./support/fakeViewerPage');
+
+const VIEWER_URL = 'https://viewer.example/viewer.html?group_name=g&pdf=b&page=1';
+
+test('detectBookInfo', async (t) => {
+    await t.test('reads the page count from a page counter first', async () => {
+        const page = fakePage({ slides: [1, 2, 2], counter: '1 / 120', sliderMax: '99', ogTitle: 'The Book', title: 'Viewer' });
+        assert.deepEqual(await detectBookInfo(page, VIEWER_URL), { totalPages: 120, title: 'The Book', spread: true, method: 'counter' });
+    });
+
+    await t.test('falls back to the page slider', async () => {
+        const page = fakePage({ slides: [1, 1], sliderMax: '64', title: ' Viewer Title ' });
+        assert.deepEqual(await detectBookInfo(page, VIEWER_URL), { totalPages: 64, title: 'Viewer Title', spread: false, method: 'slider' });
+    });
+
+    await t.test('counts the images on the slides last, leaving out cloned slides', async () => {
+        const page = fakePage({ slides: [1, 2, 2, 1], clonedSlides: 2 });
+        assert.deepEqual(await detectBookInfo(page, VIEWER_URL), { totalPages: 6, title: null, spread: true, method: 'slides' });
+    });
+
+    await t.test('counts a slide whose image has not loaded as one page', async () => {
+        const page = fakePage({ slides: [1, 0, 1] });
+        assert.equal((await detectBookInfo(page, VIEWER_URL)).totalPages, 3);
+    });
+
+    await t.test('ignores a slider without a usable max', async () => {
+        const page = fakePage({ slides: [1, 1, 1], sliderMax: '0' });
+        assert.equal((await detectBookInfo(page, VIEWER_URL)).method, 'slides');
+    });
+
+    await t.test('fails when nothing gives a page count', async () => {
+        await assert.rejects(detectBookInfo(fakePage({}), VIEWER_URL), /Could not find the page count/);
+    });
+
+    await t.test('passes the navigation options on', async () => {
+        const page = fakePage({ counter: '1/5' });
+        await detectBookInfo(page, VIEWER_URL, { timeout: 1000, selectorTimeout: 200, waitUntil: 'load' });
+        assert.deepEqual(page.calls, [
+            { step: 'goto', url: VIEWER_URL, options: { waitUntil: 'load', timeout: 1000 } },
+            { step: 'waitForSelector', selector: '.slick-slide, input[type="range"]', options: { timeout: 200 } },
+        ]);
+    });
+
+    await t.test('still reads a page counter when the carousel never appears', async () => {
+        const page = fakePage({ counter: '3 / 40' }, { waitError: 'TimeoutError' });
+        assert.equal((await detectBookInfo(page, VIEWER_URL)).totalPages, 40);
+    });
+
+    await t.test('passes other errors on', async () => {
+        await assert.rejects(detectBookInfo(fakePage({ counter: '1 / 2' }, { waitError: 'Error' }), VIEWER_URL), /waiting failed/);
+    });
+});
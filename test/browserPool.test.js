@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const puppeteer = require('puppeteer');
+
+const { createBrowserPool } = require('../lib/browserPool');
+
+/**
+ * A stand-in for a Puppeteer browser; `disconnect` acts out a crash.
+ */
+const fakeBrowser = () => {
+    const browser = new EventEmitter();
+    browser.connected = true;
+    browser.pages = [];
+    browser.newPage = async () => {
+        const page = { isClosed: () => false, browser: () => browser, close: async () => {} };
+        browser.pages.push(page);
+        return page;
+    };
+    browser.disconnect = () => {
+        browser.connected = false;
+        browser.emit('disconnected');
+    };
+    browser.close = async () => browser.disconnect();
+    return browser;
+};
+
+/**
+ * Makes puppeteer.launch hand out fake browsers, each launch resolving on the next tick.
+ * @param {object} t - The test context.
+ * @param {Array<Error|undefined>} [failures] - Errors the first launches throw, in order.
+ * @returns {object[]} The browsers launched so far.
+ */
+const mockLaunch = (t, failures = []) => {
+    const browsers = [];
+    t.mock.method(puppeteer, 'launch', async () => {
+        await new Promise(resolve => setImmediate(resolve));
+        const failure = failures.shift();
+        if (failure) throw failure;
+        const browser = fakeBrowser();
+        browsers.push(browser);
+        return browser;
+    });
+    return browsers;
+};
+
+test('createBrowserPool', async (t) => {
+    t.beforeEach(() => t.mock.method(console, 'warn', () => {}));
+
+    await t.test('launches one browser for concurrent first callers', async (t) => {
+        const browsers = mockLaunch(t);
+        const pool = createBrowserPool({ maxPages: 3 });
+        const pages = await Promise.all([pool.acquirePage(), pool.acquirePage(), pool.acquirePage()]);
+        assert.equal(browsers.length, 1);
+        assert.ok(pages.every(page => page.browser() === browsers[0]));
+        await pool.close();
+    });
+
+    await t.test('relaunches once for callers arriving after a disconnect, and closes that browser', async (t) => {
+        const browsers = mockLaunch(t);
+        const pool = createBrowserPool({ maxPages: 4 });
+        pool.releasePage(await pool.acquirePage());
+        browsers[0].disconnect();
+
+        const pages = await Promise.all([pool.acquirePage(), pool.acquirePage(), pool.acquirePage()]);
+        assert.equal(puppeteer.launch.mock.callCount(), 2);
+        assert.ok(pages.every(page => page.browser() === browsers[1]));
+
+        await pool.close();
+        assert.equal(browsers[1].connected, false);
+    });
+
+    await t.test('relaunches once when the disconnect is noticed before its event', async (t) => {
+        const browsers = mockLaunch(t);
+        const pool = createBrowserPool({ maxPages: 4 });
+        pool.releasePage(await pool.acquirePage());
+        browsers[0].connected = false;
+
+        await Promise.all([pool.acquirePage(), pool.acquirePage()]);
+        assert.equal(browsers.length, 2);
+        await pool.close();
+    });
+
+    await t.test('shares a failed launch and starts a new one for the next caller', async (t) => {
+        const browsers = mockLaunch(t, [new Error('Failed to launch the browser process')]);
+        const pool = createBrowserPool({ maxPages: 4 });
+        const results = await Promise.allSettled([pool.acquirePage(), pool.acquirePage()]);
+        assert.deepEqual(results.map(result => result.status), ['rejected', 'rejected']);
+        assert.equal(puppeteer.launch.mock.callCount(), 1);
+
+        await pool.acquirePage();
+        assert.equal(browsers.length, 1);
+        await pool.close();
+    });
+});
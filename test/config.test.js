@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DEFAULT_JOB_SETTINGS, normalizeSettingsOverrides } = require('../lib/config');
+
+test('normalizeSettingsOverrides', async (t) => {
+    const configured = { ...DEFAULT_JOB_SETTINGS, navigationTimeoutMs: 30000, selectorTimeoutMs: 20000, pageDelayMs: 500 };
+
+    await t.test('accepts overridable settings', () => {
+        assert.deepEqual(normalizeSettingsOverrides({ waitUntil: 'load', zipCompressionLevel: '3' }, configured), {
+            settings: { waitUntil: 'load', zipCompressionLevel: 3 },
+        });
+        assert.deepEqual(normalizeSettingsOverrides(undefined, configured), { settings: {} });
+    });
+
+    await t.test('rejects settings a request may not set', () => {
+        assert.match(normalizeSettingsOverrides({ maxPages: 64 }, configured).error, /cannot be set per request/);
+        assert.match(normalizeSettingsOverrides([], configured).error, /must be an object/);
+    });
+
+    await t.test('lets requests lower timeouts, but not raise them above the configuration', () => {
+        assert.deepEqual(normalizeSettingsOverrides({ navigationTimeoutMs: 10000, selectorTimeoutMs: 20000 }, configured), {
+            settings: { navigationTimeoutMs: 10000, selectorTimeoutMs: 20000 },
+        });
+        assert.match(normalizeSettingsOverrides({ navigationTimeoutMs: 600000 }, configured).error,
+            /settings\.navigationTimeoutMs must be at most 30000/);
+        assert.match(normalizeSettingsOverrides({ selectorTimeoutMs: 20001 }, configured).error, /at most 20000/);
+    });
+
+    await t.test('lets requests raise the page delay, but not lower it below the configuration', () => {
+        assert.deepEqual(normalizeSettingsOverrides({ pageDelayMs: 500 }, configured), { settings: { pageDelayMs: 500 } });
+        assert.deepEqual(normalizeSettingsOverrides({ pageDelayMs: 60000 }, configured), { settings: { pageDelayMs: 60000 } });
+        assert.match(normalizeSettingsOverrides({ pageDelayMs: 0 }, configured).error,
+            /settings\.pageDelayMs must be at least 500/);
+        assert.match(normalizeSettingsOverrides({ pageDelayMs: 60001 }, configured).error, /pageDelayMs/);
+    });
+
+    await t.test('caps at the defaults when no configuration is given', () => {
+        assert.match(normalizeSettingsOverrides({ navigationTimeoutMs: DEFAULT_JOB_SETTINGS.navigationTimeoutMs + 1 }).error, /at most/);
+    });
+});
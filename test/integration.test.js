@@ -0,0 +1,234 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+
+const { SETTINGS } = require('../lib/config');
+const { startMockViewer, pageImage, pageWidth, PAGE_HEIGHT } = require('./support/mockViewer');
+const { readZip } = require('./support/zip');
+
+// Runs server.js against the mock viewer through a real headless Chrome; needs no network.
+// Skipped when there is no Chrome: set PUPPETEER_EXECUTABLE_PATH or let Puppeteer download one.
+
+/**
+ * @returns {string|null} The Chrome to use, or null if none is installed.
+ */
+const findChrome = () => {
+    let executablePath = process.env.PUPPETEER_EXECUTABLE_PATH;
+    if (!executablePath) {
+        try {
+            executablePath = require('puppeteer').executablePath();
+        } catch (error) {
+            return null;
+        }
+    }
+    return executablePath && fs.existsSync(executablePath) ? executablePath : null;
+};
+
+const chromePath = findChrome();
+const SKIP_REASON = 'no Chrome found; set PUPPETEER_EXECUTABLE_PATH or run `npx puppeteer browsers install chrome` to run these tests';
+if (!chromePath) {
+    // A skip is easy to miss in the summary, so say so where it shows.
+    console.warn(`Skipping the integration tests: ${SKIP_REASON}.`);
+}
+
+const freePort = () => new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+        const { port } = server.address();
+        server.close(() => resolve(port));
+    });
+});
+
+/**
+ * Starts server.js with its own config file and data directory, configured only by that file.
+ * @param {string} viewerUrl - The mock viewer page, for the local adapter.
+ * @param {string} dir - A scratch directory.
+ * @returns {Promise<{child: ChildProcess, baseUrl: string}>}
+ */
+const startServer = async (viewerUrl, dir) => {
+    const port = await freePort();
+    const configFile = path.join(dir, 'config.json');
+    fs.writeFileSync(configFile, JSON.stringify({
+        server: { port, outputDir: path.join(dir, 'data') },
+        // Chrome's sandbox does not start as root, as in most CI containers.
+        browser: { executablePath: chromePath, noSandbox: process.getuid && process.getuid() === 0, maxPages: 2 },
+        viewer: { navigationTimeoutMs: 20000, selectorTimeoutMs: 4000, ratePerSecond: 50, rateBurst: 10 },
+    }));
+
+    const env = { ...process.env, CONFIG_FILE: configFile, LOCAL_VIEWER_URL: viewerUrl };
+    for (const setting of SETTINGS) delete env[setting.env];
+
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], { env, stdio: ['ignore', 'pipe', 'pipe'] });
+    let output = '';
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`The server did not start:\n${output}`)), 30000);
+        const onData = (chunk) => {
+            output += chunk;
+            if (output.includes('Server is running')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        };
+        child.stdout.on('data', onData);
+        child.stderr.on('data', onData);
+        child.once('exit', (code) => {
+            clearTimeout(timer);
+            reject(new Error(`The server exited with code ${code}:\n${output}`));
+        });
+    });
+    return { child, baseUrl: `http://127.0.0.1:${port}` };
+};
+
+describe('downloads from the mock viewer', { skip: chromePath ? false : SKIP_REASON, timeout: 180000 }, () => {
+    let viewer;
+    let server;
+    let dir;
+
+    before(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ivdownloader-integration-'));
+        viewer = await startMockViewer();
+        server = await startServer(viewer.viewerUrl, dir);
+    });
+
+    after(async () => {
+        if (server) {
+            const exited = new Promise(resolve => server.child.once('exit', resolve));
+            server.child.kill();
+            await exited;
+        }
+        if (viewer) await new Promise(resolve => viewer.server.close(resolve));
+        if (dir) fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const post = (endpoint, body) => fetch(`${server.baseUrl}${endpoint}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ adapter: 'local', group_name: 'mock', ...body }),
+    });
+
+    const downloadBatch = async (body) => {
+        const response = await post('/api/download-batch', { clientId: 'integration-test', ...body });
+        return { response, buffer: Buffer.from(await response.arrayBuffer()) };
+    };
+
+    const assertPdfPages = async (buffer, pdf, pages) => {
+        const pdfDoc = await PDFDocument.load(buffer);
+        const sizes = pdfDoc.getPages().map(page => [page.getWidth(), page.getHeight()]);
+        // Every mock page has its own width, so the sizes show which page ended up where.
+        assert.deepEqual(sizes, pages.map(page => [pageWidth(page), PAGE_HEIGHT]), `pages of ${pdf}`);
+    };
+
+    describe('POST /api/download-single', () => {
+        it('downloads a page of a single-page book, then serves it from the cache', async () => {
+            const response = await post('/api/download-single', { pdf: 'single', page: 2 });
+            assert.equal(response.status, 200);
+            assert.equal(response.headers.get('content-type'), 'image/png');
+            assert.equal(response.headers.get('x-page-cache'), 'miss');
+            assert.ok(Buffer.from(await response.arrayBuffer()).equals(await pageImage('single', 2)));
+
+            const again = await post('/api/download-single', { pdf: 'single', page: 2 });
+            assert.equal(again.headers.get('x-page-cache'), 'hit');
+            assert.ok(Buffer.from(await again.arrayBuffer()).equals(await pageImage('single', 2)));
+        });
+
+        it('picks the left and right pages of a spread', async () => {
+            for (const page of [1, 2, 3, 8]) {
+                const response = await post('/api/download-single', { pdf: 'spread', page });
+                assert.equal(response.status, 200, `page ${page}`);
+                assert.ok(Buffer.from(await response.arrayBuffer()).equals(await pageImage('spread', page)), `page ${page}`);
+            }
+        });
+
+        it('waits for images that load late', async () => {
+            const response = await post('/api/download-single', { pdf: 'delayed', page: 4 });
+            assert.equal(response.status, 200);
+            assert.ok(Buffer.from(await response.arrayBuffer()).equals(await pageImage('delayed', 4)));
+        });
+
+        it('answers 404 for a page without an image', async () => {
+            const response = await post('/api/download-single', { pdf: 'missing', page: 3 });
+            assert.equal(response.status, 404);
+            assert.equal((await response.json()).failureClass, 'selector_not_found');
+        });
+    });
+
+    describe('POST /api/download-batch', () => {
+        it('builds a ZIP of a whole spread book, page by page', async () => {
+            const { response, buffer } = await downloadBatch({ pdf: 'spread', page_range: 'all', output_format: 'zip' });
+            assert.equal(response.status, 200);
+            assert.equal(response.headers.get('content-type'), 'application/zip');
+            assert.equal(response.headers.get('x-failed-pages'), null);
+
+            const entries = readZip(buffer);
+            assert.deepEqual(entries.map(entry => entry.name), [1, 2, 3, 4, 5, 6, 7, 8].map(page => `page_${page}.png`));
+            for (const [i, entry] of entries.entries()) {
+                assert.ok(entry.data.equals(await pageImage('spread', i + 1)), `${entry.name} differs`);
+            }
+        });
+
+        it('builds a PDF of a book whose images load late', async () => {
+            const { response, buffer } = await downloadBatch({ pdf: 'delayed', page_range: '1-4', output_format: 'pdf', title: 'Delayed' });
+            assert.equal(response.status, 200);
+            assert.equal(response.headers.get('content-type'), 'application/pdf');
+            await assertPdfPages(buffer, 'delayed', [1, 2, 3, 4]);
+            assert.equal((await PDFDocument.load(buffer)).getTitle(), 'Delayed');
+        });
+
+        it('builds a PDF of a spread selection in page order', async () => {
+            const { response, buffer } = await downloadBatch({ pdf: 'spread', page_range: '2-7:2, 3', output_format: 'pdf' });
+            assert.equal(response.status, 200);
+            await assertPdfPages(buffer, 'spread', [2, 3, 4, 6]);
+        });
+
+        it('reports missing pages and leaves them out', async () => {
+            const { response, buffer } = await downloadBatch({
+                pdf: 'missing',
+                page_range: '1-5',
+                output_format: 'zip',
+                retry: { maxAttempts: 1 },
+                settings: { selectorTimeoutMs: 1000 },
+            });
+            assert.equal(response.status, 200);
+            const failedPages = JSON.parse(response.headers.get('x-failed-pages'));
+            assert.deepEqual(failedPages.map(failure => failure.page), [3]);
+
+            const entries = readZip(buffer);
+            assert.deepEqual(entries.map(entry => entry.name), ['page_1.png', 'page_2.png', 'page_4.png', 'page_5.png']);
+            for (const entry of entries) {
+                const page = Number(entry.name.match(/\d+/)[0]);
+                assert.ok(entry.data.equals(await pageImage('missing', page)), `${entry.name} differs`);
+            }
+        });
+
+        it('puts placeholders in a PDF for missing pages', async () => {
+            const { response, buffer } = await downloadBatch({
+                pdf: 'missing',
+                page_range: '2-4',
+                output_format: 'pdf',
+                placeholders: true,
+                retry: { maxAttempts: 1 },
+                settings: { selectorTimeoutMs: 1000 },
+            });
+            assert.equal(response.status, 200);
+            // The placeholder for page 3 takes the size of page 2.
+            await assertPdfPages(buffer, 'missing', [2, 2, 4]);
+        });
+
+        it('answers 404 when no page could be downloaded', async () => {
+            const { response } = await downloadBatch({
+                pdf: 'missing',
+                page_range: '3',
+                output_format: 'zip',
+                retry: { maxAttempts: 1 },
+                settings: { selectorTimeoutMs: 1000 },
+            });
+            assert.equal(response.status, 404);
+        });
+    });
+});
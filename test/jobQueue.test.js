@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const { createEngine } = require('../lib/engine');
+const { loadJob } = require('../lib/jobStore');
+const { createUserLimits } = require('../lib/userLimits');
+const { getAdapter } = require('../lib/adapters');
+const { pageImage } = require('./support/mockViewer');
+
+let tmpDir;
+let engine;
+// The owner's limits, wired to the engine as in server.js.
+const userLimits = createUserLimits({ concurrency: 10, pagesPerDay: 5 });
+test.before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ivdownloader-queue-'));
+    engine = createEngine({
+        dataDir: tmpDir,
+        pageQuota: {
+            reserve: (job, pages) => userLimits.reserve(job.owner, job.id, pages),
+            takePage: (job) => userLimits.takePage(job.owner, job.id),
+        },
+    });
+    engine.events.on('finished', job => userLimits.endJob(job.owner, job.id));
+});
+test.after(async () => {
+    await engine.close();
+    await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+const newJob = () => {
+    const validated = engine.validateBatchParams({ group_name: 'group', pdf: 'book', page_range: '1-3', output_format: 'zip' });
+    assert.equal(validated.error, undefined);
+    return engine.createAndEnqueueJob(validated, null, 'user:alice');
+};
+
+test('a job cancelled while it is taken off the queue never runs', async () => {
+    const job = await newJob();
+    // The queue has taken the job and is loading it from disk.
+    assert.equal(await engine.cancelJob(job), 'cancelling');
+
+    const progress = [];
+    const onProgress = (progressJob, data) => {
+        if (progressJob.id === job.id) progress.push(data.type);
+    };
+    engine.events.on('progress', onProgress);
+    const finished = await engine.waitForJob(job.id);
+    engine.events.off('progress', onProgress);
+
+    assert.equal(finished.status, 'cancelled');
+    assert.equal((await loadJob(job.id)).status, 'cancelled');
+    assert.deepEqual(progress, ['cancelled']);
+    assert.deepEqual(finished.fetched, {});
+});
+
+test('a job stops and fails its pages once the page quota is used up', async () => {
+    // Page 2 is in the page cache, which costs the viewer nothing.
+    const adapter = getAdapter('impress');
+    await engine.pageCache.set(
+        { adapter: adapter.name, group_name: 'group', pdf: 'book', page: 2, selector: adapter.defaultSelector },
+        { mimeType: 'image/png', extension: 'png', data: (await pageImage('book', 2)).toString('base64') }
+    );
+    const job = await newJob();
+    assert.equal(userLimits.usage('user:alice').pagesReserved, 3);
+    assert.match(userLimits.check('user:alice', { pages: 3 }).error, /Daily page quota exceeded/);
+    // Single-page downloads use up the quota while the job waits in the queue.
+    userLimits.recordPages('user:alice', 5);
+
+    const finished = await engine.waitForJob(job.id);
+    assert.equal(finished.status, 'done');
+    assert.deepEqual(Object.keys(finished.fetched), ['2']);
+    assert.deepEqual(finished.failedPages.map(({ page, failureClass }) => [page, failureClass]),
+        [[1, 'quota_exceeded'], [3, 'quota_exceeded']]);
+    assert.deepEqual(userLimits.usage('user:alice'), { active: 0, pagesToday: 5, pagesReserved: 0 });
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const { createJsonFileSaver } = require('../lib/jsonFile');
+const { createHistory } = require('../lib/history');
+
+let tmpDir;
+test.before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ivdownloader-json-'));
+});
+test.after(() => fs.rm(tmpDir, { recursive: true, force: true }));
+
+test('createJsonFileSaver', async (t) => {
+    await t.test('writes the data as it is when the write starts, creating the directory', async () => {
+        const file = path.join(tmpDir, 'nested', 'data.json');
+        const data = { count: 0 };
+        const save = createJsonFileSaver(file, async () => data);
+        data.count = 1;
+        await save();
+        assert.deepEqual(JSON.parse(await fs.readFile(file, 'utf8')), { count: 1 });
+        assert.deepEqual(await fs.readdir(path.dirname(file)), ['data.json']);
+    });
+
+    await t.test('folds saves requested while one is waiting into it', async () => {
+        const file = path.join(tmpDir, 'folded.json');
+        let writes = 0;
+        const data = { count: 0 };
+        const save = createJsonFileSaver(file, async () => {
+            writes++;
+            return data;
+        });
+        const saves = [];
+        for (let i = 1; i <= 5; i++) {
+            data.count = i;
+            saves.push(save());
+        }
+        await Promise.all(saves);
+        assert.equal(writes, 1);
+        assert.deepEqual(JSON.parse(await fs.readFile(file, 'utf8')), { count: 5 });
+    });
+
+    await t.test('keeps saving after a failed write', async () => {
+        const file = path.join(tmpDir, 'recovers.json');
+        let fail = true;
+        const save = createJsonFileSaver(file, async () => {
+            if (fail) throw new Error('not now');
+            return { ok: true };
+        });
+        await assert.rejects(save(), /not now/);
+        fail = false;
+        await save();
+        assert.deepEqual(JSON.parse(await fs.readFile(file, 'utf8')), { ok: true });
+    });
+});
+
+test('createHistory keeps its entries across restarts', async () => {
+    const file = path.join(tmpDir, 'history.json');
+    const job = {
+        id: 'job-1',
+        owner: 'user:alice',
+        params: { group_name: 'group', pdf: 'book', page_range: '1-2', output_format: 'zip', metadata: { title: 'Mock Book' } },
+        pages: [1, 2],
+        fetched: { 1: {}, 2: {} },
+        failedPages: [],
+        artifact: { filename: 'group.zip', mimeType: 'application/zip' },
+        createdAt: new Date().toISOString(),
+    };
+    await createHistory({ file }).record(job, { path: '/tmp/output.zip', size: 123 });
+
+    const reloaded = createHistory({ file });
+    const { total, entries } = await reloaded.list({ query: 'mock' });
+    assert.equal(total, 1);
+    assert.equal(entries[0].id, 'job-1');
+    assert.equal(entries[0].fileSize, 123);
+    assert.equal(await reloaded.remove('job-1'), true);
+    assert.equal((await createHistory({ file }).list()).total, 0);
+});
+
+test('createHistory lists ownerless entries to every owner', async () => {
+    const history = createHistory({ file: path.join(tmpDir, 'owners.json') });
+    const record = (id, owner) => history.record({
+        id,
+        owner,
+        params: { group_name: 'group', pdf: id, page_range: '1', output_format: 'zip', metadata: {} },
+        pages: [1],
+        fetched: { 1: {} },
+        failedPages: [],
+        artifact: { filename: `${id}.zip`, mimeType: 'application/zip' },
+        createdAt: new Date().toISOString(),
+    }, { path: `/tmp/${id}.zip`, size: 1 });
+    await record('alice-book', 'user:alice');
+    await record('bob-book', 'user:bob');
+    // Jobs created before jobs had owners have none.
+    await record('old-book', undefined);
+
+    const { entries } = await history.list({ owner: 'user:alice' });
+    assert.deepEqual(entries.map(entry => entry.id).sort(), ['alice-book', 'old-book']);
+    assert.equal((await history.list()).total, 3);
+});
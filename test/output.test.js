@@ -0,0 +1,244 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+const sharp = require('sharp');
+
+const { writeZip } = require('../lib/archive');
+const { buildPdf } = require('../lib/pdfOutput');
+const { buildCbz } = require('../lib/cbzOutput');
+const { buildEpub } = require('../lib/epubOutput');
+const { parseDataURI } = require('../lib/engine');
+const { normalizeImageOptions, processPages } = require('../lib/imageProcessing');
+const { pageImage, pageWidth, PAGE_HEIGHT } = require('./support/mockViewer');
+const { readZip } = require('./support/zip');
+
+let tmpDir;
+test.before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ivdownloader-output-'));
+});
+test.after(() => fs.rm(tmpDir, { recursive: true, force: true }));
+
+/**
+ * Returns a readPage for buildPdf that serves the mock viewer's pages of a book.
+ * @param {number[]} available - The pages that were downloaded.
+ */
+const readMockPages = (available) => async (page) => (available.includes(page)
+    ? { buffer: await pageImage('single', page), mimeType: 'image/png' }
+    : null);
+
+/**
+ * Writes the mock viewer's pages of a book to files, as a job has them on disk.
+ * @param {number[]} pages
+ * @param {string} [book='single']
+ * @returns {Promise<Array<{page: number, path: string, mimeType: string, extension: string}>>}
+ */
+const writeMockPages = async (pages, book = 'single') => {
+    const dir = await fs.mkdtemp(path.join(tmpDir, 'pages-'));
+    return Promise.all(pages.map(async (page) => {
+        const file = path.join(dir, `page_${page}.png`);
+        await fs.writeFile(file, await pageImage(book, page));
+        return { page, path: file, mimeType: 'image/png', extension: 'png' };
+    }));
+};
+
+const entryText = (entries, name) => entries.find(entry => entry.name === name).data.toString('utf8');
+
+const pageSizes = async (bytes) => (await PDFDocument.load(bytes)).getPages().map(page => {
+    const { width, height } = page.getSize();
+    return [width, height];
+});
+
+test('writeZip', async (t) => {
+    await t.test('writes file and in-memory entries in order', async () => {
+        const files = [];
+        for (const page of [1, 2, 3]) {
+            const file = path.join(tmpDir, `page_${page}.png`);
+            await fs.writeFile(file, await pageImage('single', page));
+            files.push({ name: `page_${page}.png`, path: file });
+        }
+        const outputPath = path.join(tmpDir, 'book.zip');
+        await writeZip(outputPath, [
+            { name: 'mimetype', content: 'application/test', store: true },
+            ...files,
+        ]);
+
+        const entries = readZip(await fs.readFile(outputPath));
+        assert.deepEqual(entries.map(entry => entry.name), ['mimetype', 'page_1.png', 'page_2.png', 'page_3.png']);
+        assert.equal(entries[0].data.toString(), 'application/test');
+        for (const [i, page] of [1, 2, 3].entries()) {
+            assert.ok(entries[i + 1].data.equals(await pageImage('single', page)), `page ${page} differs`);
+        }
+    });
+
+    await t.test('honors the compression level', async () => {
+        const content = Buffer.alloc(64 * 1024, 'a');
+        const stored = path.join(tmpDir, 'stored.zip');
+        const compressed = path.join(tmpDir, 'compressed.zip');
+        await writeZip(stored, [{ name: 'a.txt', content }], { compressionLevel: 0 });
+        await writeZip(compressed, [{ name: 'a.txt', content }], { compressionLevel: 9 });
+
+        assert.ok((await fs.stat(stored)).size > content.length);
+        assert.ok((await fs.stat(compressed)).size < content.length / 10);
+        assert.ok(readZip(await fs.readFile(compressed))[0].data.equals(content));
+    });
+});
+
+test('buildPdf', async (t) => {
+    await t.test('adds one page per image, sized like the image', async () => {
+        const { bytes, pageCount } = await buildPdf({ pages: [1, 2, 3], readPage: readMockPages([1, 2, 3]) });
+        assert.equal(pageCount, 3);
+        assert.deepEqual(await pageSizes(bytes), [1, 2, 3].map(page => [pageWidth(page), PAGE_HEIGHT]));
+    });
+
+    await t.test('leaves out missing pages', async () => {
+        const { bytes, pageCount } = await buildPdf({ pages: [1, 2, 3, 4], readPage: readMockPages([1, 2, 4]) });
+        assert.equal(pageCount, 3);
+        assert.deepEqual(await pageSizes(bytes), [1, 2, 4].map(page => [pageWidth(page), PAGE_HEIGHT]));
+    });
+
+    await t.test('puts placeholders in place of missing pages', async () => {
+        const { bytes, pageCount } = await buildPdf({ pages: [1, 2, 3, 4], readPage: readMockPages([1, 2, 4]), placeholders: true });
+        assert.equal(pageCount, 4);
+        // A placeholder takes the size of the page before it.
+        assert.deepEqual(await pageSizes(bytes), [1, 2, 2, 4].map(page => [pageWidth(page), PAGE_HEIGHT]));
+    });
+
+    await t.test('skips the pages a merged spread stands for', async () => {
+        const readPage = async (page) => {
+            const image = { buffer: await pageImage('spread', page), mimeType: 'image/png' };
+            return page === 2 ? { ...image, lastPage: 3 } : image;
+        };
+        const { bytes, pageCount } = await buildPdf({ pages: [1, 2, 3, 4], readPage });
+        assert.equal(pageCount, 3);
+        assert.deepEqual(await pageSizes(bytes), [1, 2, 4].map(page => [pageWidth(page), PAGE_HEIGHT]));
+    });
+
+    await t.test('sets the document properties', async () => {
+        const { bytes } = await buildPdf({
+            pages: [1],
+            readPage: readMockPages([1]),
+            metadata: { title: 'Mock Book', author: 'Someone' },
+        });
+        const pdfDoc = await PDFDocument.load(bytes);
+        assert.equal(pdfDoc.getTitle(), 'Mock Book');
+        assert.equal(pdfDoc.getAuthor(), 'Someone');
+        assert.equal(pdfDoc.getCreator(), 'Impress Viewer Downloader');
+    });
+});
+
+test('processPages', async (t) => {
+    await t.test("passes a page sent as 'image/jpg' on unchanged", async () => {
+        const jpeg = await sharp(await pageImage('single', 1)).jpeg().toBuffer();
+        const { mimeType, extension, data } = parseDataURI(`data:image/jpg;base64,${jpeg.toString('base64')}`);
+        const file = path.join(tmpDir, `page_1.${extension}`);
+        await fs.writeFile(file, Buffer.from(data, 'base64'));
+
+        const outputDir = path.join(tmpDir, 'processed');
+        await fs.mkdir(outputDir);
+        const images = await processPages({
+            pages: [{ page: 1, path: file, mimeType, extension }],
+            outputDir,
+            imageOptions: normalizeImageOptions().options,
+        });
+        assert.deepEqual(images, [{ page: 1, lastPage: 1, path: file, mimeType: 'image/jpeg', extension: 'jpg' }]);
+        assert.deepEqual(await fs.readdir(outputDir), []);
+    });
+});
+
+test('buildCbz', async (t) => {
+    await t.test('stores the pages in order with a ComicInfo.xml describing them', async () => {
+        const pages = await writeMockPages([1, 2, 3, 10]);
+        const outputPath = path.join(tmpDir, 'book.cbz');
+        await buildCbz({
+            outputPath,
+            pages,
+            metadata: { title: 'Mock & Book', author: 'Someone' },
+            chapters: [{ title: 'Two', start: 2 }],
+            readingDirection: 'rtl',
+        });
+
+        const entries = readZip(await fs.readFile(outputPath));
+        assert.deepEqual(entries.map(entry => entry.name),
+            ['page_01.png', 'page_02.png', 'page_03.png', 'page_10.png', 'ComicInfo.xml']);
+        assert.ok(entries[3].data.equals(await pageImage('single', 10)));
+
+        const comicInfo = entryText(entries, 'ComicInfo.xml');
+        assert.match(comicInfo, /<Title>Mock &amp; Book<\/Title>/);
+        assert.match(comicInfo, /<Writer>Someone<\/Writer>/);
+        assert.match(comicInfo, /<PageCount>4<\/PageCount>/);
+        assert.match(comicInfo, /<Manga>YesAndRightToLeft<\/Manga>/);
+        const pageLines = comicInfo.split('\n').filter(line => line.includes('<Page '));
+        assert.equal(pageLines.length, 4);
+        assert.match(pageLines[0], /Image="0" Type="FrontCover"/);
+        assert.match(pageLines[1], /Bookmark="Two"/);
+        assert.match(pageLines[3], new RegExp(`ImageWidth="${pageWidth(10)}" ImageHeight="${PAGE_HEIGHT}"`));
+    });
+
+    await t.test('names a spread after the pages it stands for and marks it a double page', async () => {
+        const [single] = await writeMockPages([1]);
+        const spreadFile = path.join(tmpDir, 'spread.png');
+        await sharp({ create: { width: 300, height: 140, channels: 3, background: '#808080' } }).png().toFile(spreadFile);
+        const outputPath = path.join(tmpDir, 'spread.cbz');
+        await buildCbz({ outputPath, pages: [single, { page: 2, lastPage: 3, path: spreadFile, extension: 'png' }] });
+
+        const entries = readZip(await fs.readFile(outputPath));
+        assert.deepEqual(entries.map(entry => entry.name), ['page_1.png', 'page_2-3.png', 'ComicInfo.xml']);
+        assert.match(entryText(entries, 'ComicInfo.xml'), /Image="1" DoublePage="true"/);
+    });
+});
+
+test('buildEpub', async (t) => {
+    const pages = await writeMockPages([1, 2, 3]);
+    const outputPath = path.join(tmpDir, 'book.epub');
+    await buildEpub({
+        outputPath,
+        identifier: 'urn:uuid:test-book',
+        pages,
+        metadata: { title: 'Mock Book', author: 'Someone' },
+        chapters: [{ title: 'Start', start: 1 }, { title: 'Later', start: 3 }],
+    });
+    const entries = readZip(await fs.readFile(outputPath));
+
+    await t.test('starts with an uncompressed mimetype entry', () => {
+        assert.equal(entries[0].name, 'mimetype');
+        assert.equal(entries[0].offset, 0);
+        assert.equal(entries[0].stored, true);
+        assert.equal(entries[0].data.toString(), 'application/epub+zip');
+        assert.match(entryText(entries, 'META-INF/container.xml'), /full-path="OEBPS\/content\.opf"/);
+    });
+
+    await t.test('lists every page in the manifest and the spine, in order', () => {
+        const opf = entryText(entries, 'OEBPS/content.opf');
+        assert.match(opf, /<dc:identifier id="book-id">urn:uuid:test-book<\/dc:identifier>/);
+        assert.match(opf, /<dc:title>Mock Book<\/dc:title>/);
+        assert.match(opf, /<meta property="rendition:layout">pre-paginated<\/meta>/);
+        const manifest = Array.from(opf.matchAll(/<item id="([^"]+)" href="([^"]+)"/g), match => [match[1], match[2]]);
+        assert.deepEqual(manifest, [
+            ['nav', 'nav.xhtml'],
+            ['img-1', 'images/page_1.png'], ['page-1', 'pages/page_1.xhtml'],
+            ['img-2', 'images/page_2.png'], ['page-2', 'pages/page_2.xhtml'],
+            ['img-3', 'images/page_3.png'], ['page-3', 'pages/page_3.xhtml'],
+        ]);
+        assert.match(opf, /<item id="img-1" [^>]*properties="cover-image"/);
+        assert.deepEqual(Array.from(opf.matchAll(/<itemref idref="([^"]+)"\/>/g), match => match[1]), ['page-1', 'page-2', 'page-3']);
+        for (const [, href] of manifest) {
+            assert.ok(entries.some(entry => entry.name === `OEBPS/${href}`), `${href} is missing`);
+        }
+    });
+
+    await t.test('sizes each page document like its image', () => {
+        const xhtml = entryText(entries, 'OEBPS/pages/page_2.xhtml');
+        assert.match(xhtml, new RegExp(`content="width=${pageWidth(2)}, height=${PAGE_HEIGHT}"`));
+        assert.match(xhtml, /<img src="\.\.\/images\/page_2\.png"/);
+    });
+
+    await t.test('builds the table of contents from the chapters', () => {
+        const nav = entryText(entries, 'OEBPS/nav.xhtml');
+        assert.match(nav, /<a href="pages\/page_1\.xhtml">Start<\/a>/);
+        assert.match(nav, /<a href="pages\/page_3\.xhtml">Later<\/a>/);
+        assert.equal(Array.from(nav.matchAll(/<li><a href="pages\/page_\d\.xhtml">\d<\/a><\/li>/g)).length, 3);
+    });
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const { createPageCache } = require('../lib/pageCache');
+
+let tmpDir;
+test.before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ivdownloader-cache-'));
+});
+test.after(() => fs.rm(tmpDir, { recursive: true, force: true }));
+
+let dirCount = 0;
+const newDir = () => path.join(tmpDir, `cache-${++dirCount}`);
+
+const pageKey = (page, pdf = 'book') => ({ adapter: 'impress', group_name: 'group', pdf, page, selector: 'img' });
+
+/**
+ * A parsed data URI of the given size, filled with one byte.
+ * @param {number} size
+ * @param {string} [fill='a']
+ */
+const image = (size, fill = 'a') => ({ mimeType: 'image/png', extension: 'png', data: Buffer.alloc(size, fill).toString('base64') });
+
+/**
+ * Waits for the index saves started by `get` to be written.
+ */
+const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+test('createPageCache', async (t) => {
+    await t.test('returns what was stored, and null for other pages', async () => {
+        const cache = createPageCache({ dir: newDir() });
+        await cache.set(pageKey(1), image(10));
+        assert.deepEqual(await cache.get(pageKey(1)), image(10));
+        assert.equal(await cache.get(pageKey(2)), null);
+        assert.equal(await cache.get({ ...pageKey(1), selector: 'other' }), null);
+    });
+
+    await t.test('stores an image shown on several pages once', async () => {
+        const dir = newDir();
+        const cache = createPageCache({ dir });
+        await cache.set(pageKey(1), image(10));
+        await cache.set(pageKey(1, 'other-book'), image(10));
+        assert.equal((await fs.readdir(path.join(dir, 'blobs'))).length, 1);
+        assert.equal((await cache.stats()).totalBytes, 10);
+
+        await cache.remove(pageKey(1));
+        assert.deepEqual(await cache.get(pageKey(1, 'other-book')), image(10));
+    });
+
+    await t.test('stops serving entries older than the TTL', async (t) => {
+        t.mock.timers.enable({ apis: ['Date'], now: 1000000 });
+        const dir = newDir();
+        const cache = createPageCache({ dir, ttlMs: 60000 });
+        await cache.set(pageKey(1), image(10));
+        t.mock.timers.tick(59000);
+        assert.ok(await cache.get(pageKey(1)));
+        t.mock.timers.tick(2000);
+        assert.equal(await cache.get(pageKey(1)), null);
+        assert.deepEqual(await fs.readdir(path.join(dir, 'blobs')), []);
+    });
+
+    await t.test('evicts the least recently used entries down to maxBytes', async (t) => {
+        t.mock.timers.enable({ apis: ['Date'], now: 1000000 });
+        const cache = createPageCache({ dir: newDir(), maxBytes: 25 });
+        await cache.set(pageKey(1), image(10, 'a'));
+        t.mock.timers.tick(1);
+        await cache.set(pageKey(2), image(10, 'b'));
+        t.mock.timers.tick(1);
+        // Page 1 is used again, so page 2 is now the least recently used.
+        await cache.get(pageKey(1));
+        t.mock.timers.tick(1);
+        await cache.set(pageKey(3), image(10, 'c'));
+
+        assert.ok(await cache.get(pageKey(1)));
+        assert.equal(await cache.get(pageKey(2)), null);
+        assert.ok(await cache.get(pageKey(3)));
+        assert.equal((await cache.stats()).totalBytes, 20);
+    });
+
+    await t.test('is off with a maxBytes of 0', async () => {
+        const dir = newDir();
+        const cache = createPageCache({ dir, maxBytes: 0 });
+        await cache.set(pageKey(1), image(10));
+        assert.equal(await cache.get(pageKey(1)), null);
+        await assert.rejects(fs.access(dir));
+    });
+
+    await t.test('reloads its index after a restart', async () => {
+        const dir = newDir();
+        await createPageCache({ dir }).set(pageKey(1), image(10));
+
+        const reloaded = createPageCache({ dir });
+        assert.deepEqual(await reloaded.get(pageKey(1)), image(10));
+        const { entries, books } = await reloaded.stats();
+        assert.equal(entries, 1);
+        assert.equal(books[0].hits, 1);
+    });
+
+    await t.test('forgets an entry whose blob has gone, also after a restart', async () => {
+        const dir = newDir();
+        const cache = createPageCache({ dir });
+        await cache.set(pageKey(1), image(10));
+        await cache.set(pageKey(2), image(10, 'b'));
+        const [entry] = Object.values(JSON.parse(await fs.readFile(path.join(dir, 'index.json'), 'utf8')).entries)
+            .filter(({ page }) => page === 1);
+        await fs.rm(path.join(dir, 'blobs', entry.sha256));
+
+        assert.equal(await cache.get(pageKey(1)), null);
+        await settle();
+        const reloaded = createPageCache({ dir });
+        assert.equal((await reloaded.stats()).entries, 1);
+        assert.ok(await reloaded.get(pageKey(2)));
+    });
+
+    await t.test('purges the entries of a book', async () => {
+        const cache = createPageCache({ dir: newDir() });
+        await cache.set(pageKey(1), image(10, 'a'));
+        await cache.set(pageKey(1, 'other-book'), image(10, 'b'));
+        assert.deepEqual(await cache.purge({ pdf: 'book' }), { removedEntries: 1, freedBytes: 10 });
+        assert.equal(await cache.get(pageKey(1)), null);
+        assert.ok(await cache.get(pageKey(1, 'other-book')));
+    });
+});
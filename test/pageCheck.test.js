@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+
+const { hashPage, hammingDistance, isDuplicate } = require('../lib/pageCheck');
+const { pageImage } = require('./support/mockViewer');
+
+/**
+ * A page with a few shapes and a line of text, drawn a little differently for each page number.
+ * @param {number} page
+ */
+const drawnPage = (page) => sharp(Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="300" height="400">
+    <rect width="300" height="400" fill="#fff"/>
+    <rect x="${20 + page * 30}" y="40" width="160" height="120" fill="#345"/>
+    <circle cx="150" cy="${250 + page * 20}" r="70" fill="#a33"/>
+    <text x="20" y="380" font-size="20">Page ${page}</text>
+</svg>`)).png().toBuffer();
+
+/**
+ * An image of one colour, with some noise of the given amplitude.
+ * @param {number} amplitude - How far a grey level may stray from 250.
+ */
+const flatImage = (amplitude) => {
+    const width = 60;
+    const height = 80;
+    const pixels = Buffer.alloc(width * height * 3);
+    for (let i = 0; i < pixels.length; i++) {
+        pixels[i] = 250 - (amplitude > 0 ? (i * 7919) % (amplitude + 1) : 0);
+    }
+    return sharp(pixels, { raw: { width, height, channels: 3 } }).png().toBuffer();
+};
+
+test('hashPage', async (t) => {
+    await t.test('finds blank pages', async () => {
+        assert.equal((await hashPage(await flatImage(0))).blank, true);
+        // A loading frame with a little compression noise is still blank.
+        assert.equal((await hashPage(await flatImage(2))).blank, true);
+        assert.equal((await hashPage(await sharp({ create: { width: 1, height: 1, channels: 3, background: '#000' } }).png().toBuffer())).blank, true);
+    });
+
+    await t.test('does not call a page with content blank', async () => {
+        assert.equal((await hashPage(await flatImage(40))).blank, false);
+        assert.equal((await hashPage(await pageImage('single', 1))).blank, false);
+    });
+
+    await t.test('gives a 256-bit difference hash and the SHA-256 of the bytes', async () => {
+        const hash = await hashPage(await pageImage('single', 1));
+        assert.match(hash.dhash, /^[0-9a-f]{64}$/);
+        assert.match(hash.sha256, /^[0-9a-f]{64}$/);
+    });
+});
+
+test('hammingDistance', () => {
+    assert.equal(hammingDistance('00', '00'), 0);
+    assert.equal(hammingDistance('0f', '00'), 4);
+    assert.equal(hammingDistance('ff', '7e'), 2);
+});
+
+test('isDuplicate', async (t) => {
+    const page1 = await drawnPage(1);
+    const hash1 = await hashPage(page1);
+
+    await t.test('matches the same bytes', async () => {
+        assert.equal(isDuplicate(hash1, await hashPage(page1)), true);
+    });
+
+    await t.test('matches the same page encoded differently', async () => {
+        for (const quality of [50, 70, 90]) {
+            const reencoded = await hashPage(await sharp(page1).jpeg({ quality }).toBuffer());
+            assert.notEqual(reencoded.sha256, hash1.sha256);
+            assert.equal(isDuplicate(hash1, reencoded), true, `JPEG quality ${quality}`);
+        }
+    });
+
+    await t.test('tells different pages apart', async () => {
+        assert.equal(isDuplicate(hash1, await hashPage(await drawnPage(2))), false);
+        assert.equal(isDuplicate(await hashPage(await pageImage('single', 1)), await hashPage(await pageImage('single', 2))), false);
+    });
+
+    await t.test('allows up to 12 differing bits', () => {
+        const base = '0'.repeat(64);
+        assert.equal(isDuplicate({ sha256: 'a', dhash: base }, { sha256: 'b', dhash: `${'0'.repeat(61)}fff` }), true);
+        assert.equal(isDuplicate({ sha256: 'a', dhash: base }, { sha256: 'b', dhash: `${'0'.repeat(60)}1fff` }), false);
+    });
+});
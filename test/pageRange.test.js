@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PageRangeError, parsePageRange, isOpenEnded, getFirstPage, MAX_PAGES } = require('../lib/pageRange');
+
+test('parsePageRange', async (t) => {
+    await t.test('reads single pages and ranges', () => {
+        assert.deepEqual(parsePageRange('3'), [3]);
+        assert.deepEqual(parsePageRange('1-4'), [1, 2, 3, 4]);
+        assert.deepEqual(parsePageRange('1-3, 7, 10-11'), [1, 2, 3, 7, 10, 11]);
+    });
+
+    await t.test('sorts the pages and drops duplicates', () => {
+        assert.deepEqual(parsePageRange('9, 2-4, 3'), [2, 3, 4, 9]);
+    });
+
+    await t.test('supports steps', () => {
+        assert.deepEqual(parsePageRange('1-9:2'), [1, 3, 5, 7, 9]);
+        assert.deepEqual(parsePageRange('2-9:3'), [2, 5, 8]);
+    });
+
+    await t.test('removes excluded pages', () => {
+        assert.deepEqual(parsePageRange('1-10, !4-6'), [1, 2, 3, 7, 8, 9, 10]);
+        assert.deepEqual(parsePageRange('1-6, !1-6:2'), [2, 4, 6]);
+    });
+
+    await t.test('expands open-ended ranges to the last page', () => {
+        assert.deepEqual(parsePageRange('4-', { lastPage: 6 }), [4, 5, 6]);
+        assert.deepEqual(parsePageRange('all', { lastPage: 3 }), [1, 2, 3]);
+        assert.throws(() => parsePageRange('4-'), PageRangeError);
+    });
+
+    await t.test('rejects malformed selections', () => {
+        for (const range of ['', 'abc', '0', '5-3', '3:2', '1-5:0', '!3', '1--3']) {
+            assert.throws(() => parsePageRange(range), PageRangeError, `'${range}'`);
+        }
+    });
+
+    await t.test('rejects selections that select nothing', () => {
+        assert.throws(() => parsePageRange('1-3, !1-3'), /does not select any pages/);
+    });
+
+    await t.test('rejects selections over the page limit', () => {
+        assert.throws(() => parsePageRange(`1-${MAX_PAGES * 2}`), /selects more than/);
+        assert.equal(parsePageRange(`1-${MAX_PAGES}`).length, MAX_PAGES);
+    });
+});
+
+test('isOpenEnded', () => {
+    assert.equal(isOpenEnded('30-'), true);
+    assert.equal(isOpenEnded('all'), true);
+    assert.equal(isOpenEnded('1-30, 40'), false);
+});
+
+test('getFirstPage', () => {
+    assert.equal(getFirstPage('7, 3-5'), 3);
+    assert.equal(getFirstPage('1-10, !1-2'), 3);
+    assert.equal(getFirstPage('5-'), 5);
+    assert.throws(() => getFirstPage('2, !2'), PageRangeError);
+});
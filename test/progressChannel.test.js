@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+
+const { createProgressChannel } = require('../lib/progressChannel');
+
+/**
+ * A request and response pair for `watch`; `events()` parses what has been written to the stream.
+ */
+const fakeStream = () => {
+    const req = new EventEmitter();
+    const res = {
+        headers: {},
+        chunks: [],
+        setHeader(name, value) {
+            this.headers[name.toLowerCase()] = value;
+        },
+        flushHeaders() {},
+        write(chunk) {
+            this.chunks.push(chunk);
+        },
+    };
+    const blocks = () => res.chunks.join('').split('\n\n').filter(Boolean);
+    const events = () => blocks().filter(block => /^(id|data): /m.test(block)).map(block => {
+        const id = /^id: (.*)$/m.exec(block);
+        return { id: id ? id[1] : undefined, data: JSON.parse(/^data: (.*)$/m.exec(block)[1]) };
+    });
+    return { req, res, blocks, events };
+};
+
+const dataOf = events => events.map(event => event.data);
+
+test('progress channel', async (t) => {
+    await t.test('streams with SSE headers and a retry hint', () => {
+        const channel = createProgressChannel({ retryMs: 1500 });
+        t.after(channel.close);
+        const stream = fakeStream();
+        channel.watch('job:1', stream.req, stream.res);
+        assert.equal(stream.res.headers['content-type'], 'text/event-stream');
+        assert.equal(stream.res.headers['cache-control'], 'no-cache');
+        assert.equal(stream.blocks()[0], 'retry: 1500');
+    });
+
+    await t.test('numbers events <epoch>-<n> per topic and sends them to every watcher', () => {
+        const channel = createProgressChannel();
+        t.after(channel.close);
+        const first = fakeStream();
+        const second = fakeStream();
+        channel.watch('job:1', first.req, first.res);
+        channel.watch('job:1', second.req, second.res);
+        assert.equal(channel.publish('job:1', { type: 'log', message: 'a' }), 1);
+        assert.equal(channel.publish('job:2', { type: 'log', message: 'other' }), 1);
+        assert.equal(channel.publish('job:1', { type: 'log', message: 'b' }), 2);
+
+        const events = first.events();
+        assert.deepEqual(dataOf(events), [{ type: 'log', message: 'a' }, { type: 'log', message: 'b' }]);
+        const [epoch] = events[0].id.split('-');
+        assert.deepEqual(events.map(event => event.id), [`${epoch}-1`, `${epoch}-2`]);
+        assert.deepEqual(second.events(), events);
+    });
+
+    await t.test('sends a late watcher the initial events, then everything buffered', () => {
+        const channel = createProgressChannel();
+        t.after(channel.close);
+        channel.publish('job:1', { n: 1 });
+        channel.publish('job:1', { n: 2 });
+        const stream = fakeStream();
+        channel.watch('job:1', stream.req, stream.res, { initialEvents: [{ type: 'snapshot' }] });
+        const events = stream.events();
+        assert.deepEqual(dataOf(events), [{ type: 'snapshot' }, { n: 1 }, { n: 2 }]);
+        // The snapshot has no ID, so it does not move the client's Last-Event-ID.
+        assert.equal(events[0].id, undefined);
+    });
+
+    await t.test('replays only what came after Last-Event-ID', () => {
+        const channel = createProgressChannel();
+        t.after(channel.close);
+        const first = fakeStream();
+        channel.watch('job:1', first.req, first.res);
+        for (let n = 1; n <= 4; n++) channel.publish('job:1', { n });
+        const lastSeen = first.events()[1].id;
+        first.req.emit('close');
+        channel.publish('job:1', { n: 5 });
+        assert.equal(first.events().length, 4);
+
+        const again = fakeStream();
+        channel.watch('job:1', again.req, again.res, { lastEventId: lastSeen });
+        assert.deepEqual(dataOf(again.events()), [{ n: 3 }, { n: 4 }, { n: 5 }]);
+    });
+
+    await t.test('reports a gap when the missed events are no longer buffered', () => {
+        const channel = createProgressChannel({ bufferSize: 3 });
+        t.after(channel.close);
+        const first = fakeStream();
+        channel.watch('job:1', first.req, first.res);
+        channel.publish('job:1', { n: 1 });
+        const lastSeen = first.events()[0].id;
+        for (let n = 2; n <= 6; n++) channel.publish('job:1', { n });
+
+        const again = fakeStream();
+        channel.watch('job:1', again.req, again.res, { lastEventId: lastSeen });
+        assert.deepEqual(dataOf(again.events()), [{ type: 'gap' }, { n: 4 }, { n: 5 }, { n: 6 }]);
+    });
+
+    await t.test('reports a gap and replays everything for an ID of an earlier server process', (t) => {
+        t.mock.timers.enable({ apis: ['Date'], now: 1000000 });
+        const before = createProgressChannel();
+        t.after(before.close);
+        const first = fakeStream();
+        before.watch('job:1', first.req, first.res);
+        for (let n = 1; n <= 5; n++) before.publish('job:1', { n });
+        const lastSeen = first.events()[4].id;
+
+        // The server restarts and the job publishes again from 1.
+        t.mock.timers.tick(60000);
+        const after = createProgressChannel();
+        t.after(after.close);
+        after.publish('job:1', { n: 'new' });
+        const again = fakeStream();
+        after.watch('job:1', again.req, again.res, { lastEventId: lastSeen });
+        assert.deepEqual(dataOf(again.events()), [{ type: 'gap' }, { n: 'new' }]);
+        assert.notEqual(again.events()[1].id.split('-')[0], lastSeen.split('-')[0]);
+
+        // A malformed ID, or one from the future, is treated the same way.
+        const odd = fakeStream();
+        after.watch('job:1', odd.req, odd.res, { lastEventId: `${again.events()[1].id.split('-')[0]}-99` });
+        assert.deepEqual(dataOf(odd.events()), [{ type: 'gap' }, { n: 'new' }]);
+    });
+
+    await t.test('sends heartbeats to open streams only', (t) => {
+        t.mock.timers.enable({ apis: ['setInterval'] });
+        const channel = createProgressChannel({ heartbeatMs: 1000 });
+        t.after(channel.close);
+        const open = fakeStream();
+        const closed = fakeStream();
+        channel.watch('job:1', open.req, open.res);
+        channel.watch('job:1', closed.req, closed.res);
+        closed.req.emit('close');
+
+        t.mock.timers.tick(2500);
+        assert.equal(open.blocks().filter(block => block === ': heartbeat').length, 2);
+        assert.equal(closed.blocks().filter(block => block === ': heartbeat').length, 0);
+    });
+});
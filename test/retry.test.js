@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DEFAULT_RETRY_POLICY, MAX_RETRY_DELAY_MS, normalizeRetryPolicy } = require('../lib/retry');
+
+test('normalizeRetryPolicy', async (t) => {
+    await t.test('fills in the defaults', () => {
+        assert.deepEqual(normalizeRetryPolicy(), { policy: DEFAULT_RETRY_POLICY });
+        assert.deepEqual(normalizeRetryPolicy({ maxAttempts: '5', maxDelayMs: 60000 }).policy,
+            { ...DEFAULT_RETRY_POLICY, maxAttempts: 5, maxDelayMs: 60000 });
+    });
+
+    await t.test('rejects delays longer than the limit', () => {
+        assert.match(normalizeRetryPolicy({ baseDelayMs: 2e9, maxDelayMs: 2e9 }).error,
+            new RegExp(`retry\\.maxDelayMs must be at most ${MAX_RETRY_DELAY_MS}`));
+        assert.match(normalizeRetryPolicy({ maxDelayMs: MAX_RETRY_DELAY_MS + 1 }).error, /at most/);
+        // baseDelayMs may not be above maxDelayMs, so it is limited too.
+        assert.match(normalizeRetryPolicy({ baseDelayMs: MAX_RETRY_DELAY_MS + 1 }).error, /no greater than retry\.maxDelayMs/);
+    });
+
+    await t.test('rejects out-of-range attempts and jitter', () => {
+        assert.match(normalizeRetryPolicy({ maxAttempts: 11 }).error, /between 1 and 10/);
+        assert.match(normalizeRetryPolicy({ jitter: 2 }).error, /between 0 and 1/);
+        assert.match(normalizeRetryPolicy([]).error, /must be an object/);
+    });
+});
@@ -0,0 +1,205 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+
+const { findImageCandidates, describeSources } = require('../lib/selectorDiscovery');
+
+/**
+ * A fixture DOM element, with just what findImageCandidates reads.
+ * @param {string} tagName
+ * @param {object} [options]
+ * @param {string} [options.id]
+ * @param {string[]} [options.classes]
+ * @param {object[]} [options.children]
+ */
+const element = (tagName, { id = '', classes = [], children = [], ...properties } = {}) => {
+    const node = { tagName: tagName.toUpperCase(), id, classList: classes, children, parentElement: null, ...properties };
+    children.forEach((child) => {
+        child.parentElement = node;
+    });
+    return node;
+};
+
+/**
+ * A fixture image.
+ * @param {string} src
+ * @param {object} [options]
+ * @param {number[]} [options.natural=[0, 0]] - The natural width and height.
+ * @param {number[]} [options.shown=[100, 100]] - The displayed width and height.
+ * @param {boolean} [options.hidden] - Whether it has `display: none`.
+ * @param {boolean} [options.screenshotFails] - Whether its screenshot throws, as when it is detached.
+ */
+const img = (src, { natural = [0, 0], shown = [100, 100], hidden = false, screenshotFails = false } = {}) => element('img', {
+    src,
+    currentSrc: src,
+    naturalWidth: natural[0],
+    naturalHeight: natural[1],
+    getBoundingClientRect: () => (hidden ? { width: 0, height: 0 } : { width: shown[0], height: shown[1] }),
+    style: { visibility: 'visible', display: hidden ? 'none' : 'inline' },
+    screenshotFails,
+});
+
+// Matches one part of the selectors findImageCandidates builds: a tag, an ID, classes and a src prefix.
+const matchesCompound = (node, compound) => Array.from(compound.matchAll(/([.#]?)([\w-]+)|\[src\^="([^"]+)"\]/g))
+    .every(([, sigil, name, srcPrefix]) => {
+        if (srcPrefix) return (node.src || '').startsWith(srcPrefix);
+        if (sigil === '#') return node.id === name;
+        if (sigil === '.') return node.classList.includes(name);
+        return node.tagName === name.toUpperCase();
+    });
+
+const matchesSelector = (node, selector) => {
+    const parts = selector.split(' ');
+    if (!matchesCompound(node, parts.pop())) return false;
+    for (let ancestor = node.parentElement; ancestor && parts.length; ancestor = ancestor.parentElement) {
+        if (matchesCompound(ancestor, parts[parts.length - 1])) parts.pop();
+    }
+    return parts.length === 0;
+};
+
+const descendants = node => node.children.flatMap(child => [child, ...descendants(child)]);
+
+/**
+ * A stand-in for a Puppeteer page showing the given body; `evaluate` runs the function against it.
+ * @param {object} body - The fixture body element.
+ */
+const fakePage = (body) => {
+    const images = descendants(body).filter(node => node.tagName === 'IMG');
+    const disposed = [];
+    const screenshot = sharp({ create: { width: 40, height: 60, channels: 3, background: '#336699' } }).png().toBuffer();
+    return {
+        disposed,
+        evaluate: async (fn, ...args) => {
+            global.document = {
+                body,
+                images,
+                querySelectorAll: selector => descendants(body).filter(node => matchesSelector(node, selector)),
+            };
+            global.window = { getComputedStyle: node => node.style };
+            try {
+                return fn(...args);
+            } finally {
+                delete global.document;
+                delete global.window;
+            }
+        },
+        $$: async (selector) => {
+            assert.equal(selector, 'img');
+            return images.map((image, index) => ({
+                evaluate: async fn => fn(image),
+                screenshot: async () => {
+                    if (image.screenshotFails) throw new Error('Node is detached from document');
+                    return screenshot;
+                },
+                dispose: async () => {
+                    disposed.push(index);
+                },
+            }));
+        },
+    };
+};
+
+let pngDataUri;
+test.before(async () => {
+    const png = await sharp({ create: { width: 30, height: 20, channels: 3, background: '#808080' } }).png().toBuffer();
+    pngDataUri = `data:image/png;base64,${png.toString('base64')}`;
+});
+
+test('findImageCandidates', async (t) => {
+    await t.test('ranks visible images first, then data URIs, then the largest', async () => {
+        const body = element('body', {
+            children: [
+                img('https://example.com/hidden.png', { natural: [2000, 3000], hidden: true }),
+                img('https://example.com/logo.png', { natural: [50, 50] }),
+                img('https://example.com/banner.png', { natural: [900, 200] }),
+                img(pngDataUri, { natural: [30, 20] }),
+            ],
+        });
+        const candidates = await findImageCandidates(fakePage(body));
+        assert.deepEqual(candidates.map(({ src, visible }) => [src, visible]), [
+            [null, true],
+            ['https://example.com/banner.png', true],
+            ['https://example.com/logo.png', true],
+            ['https://example.com/hidden.png', false],
+        ]);
+        assert.equal(candidates[0].mimeType, 'image/png');
+        assert.deepEqual([candidates[1].naturalWidth, candidates[1].naturalHeight], [900, 200]);
+    });
+
+    await t.test('returns at most limit candidates', async () => {
+        const body = element('body', {
+            children: [1, 2, 3].map(size => img(`https://example.com/${size}.png`, { natural: [size, size] })),
+        });
+        const candidates = await findImageCandidates(fakePage(body), { limit: 2 });
+        assert.deepEqual(candidates.map(candidate => candidate.src), ['https://example.com/3.png', 'https://example.com/2.png']);
+    });
+
+    await t.test('builds a selector from the classed ancestors, state classes first', async () => {
+        const current = img(pngDataUri, { natural: [30, 20] });
+        const body = element('body', {
+            children: [element('div', {
+                classes: ['slick-track'],
+                children: [
+                    element('div', { classes: ['slick-slide'], children: [element('span', { children: [img(`${pngDataUri}#other`)] })] }),
+                    element('div', { classes: ['slick-slide', 'page', 'slick-current'], children: [element('span', { children: [current] })] }),
+                ],
+            })],
+        });
+        const [candidate] = await findImageCandidates(fakePage(body));
+        assert.equal(candidate.selector, 'div.slick-track div.slick-current.slick-slide img[src^="data:image"]');
+        assert.equal(candidate.matches, 1);
+    });
+
+    await t.test('stops at an ancestor with an ID and counts what the selector matches', async () => {
+        const body = element('body', {
+            children: [element('main', {
+                classes: ['layout'],
+                children: [element('section', {
+                    id: 'viewer',
+                    children: [element('div', {
+                        classes: ['page', 'skip?'],
+                        children: [img('https://example.com/1.png'), img('https://example.com/2.png')],
+                    })],
+                })],
+            })],
+        });
+        const candidates = await findImageCandidates(fakePage(body));
+        assert.deepEqual(candidates.map(({ selector, matches }) => [selector, matches]), [
+            ['#viewer div.page img', 2],
+            ['#viewer div.page img', 2],
+        ]);
+    });
+
+    await t.test('thumbnails data URIs and screenshots of visible images, and disposes of the handles', async () => {
+        const body = element('body', {
+            children: [
+                img(pngDataUri, { natural: [30, 20] }),
+                img('https://example.com/shown.png', { natural: [20, 20] }),
+                img('https://example.com/detached.png', { natural: [10, 10], screenshotFails: true }),
+                img('https://example.com/hidden.png', { hidden: true }),
+            ],
+        });
+        const page = fakePage(body);
+        const candidates = await findImageCandidates(page, { thumbnailSize: 16 });
+        assert.deepEqual(candidates.map(candidate => candidate.thumbnail !== null), [true, true, false, false]);
+        const thumbnail = await sharp(Buffer.from(candidates[1].thumbnail.split(',')[1], 'base64')).metadata();
+        assert.equal(thumbnail.format, 'jpeg');
+        assert.ok(thumbnail.width <= 16 && thumbnail.height <= 16);
+        assert.deepEqual(page.disposed.sort(), [0, 1, 2, 3]);
+    });
+});
+
+test('describeSources', async (t) => {
+    await t.test('describes each image with its type, size and a thumbnail', async () => {
+        const [image] = await describeSources([pngDataUri]);
+        assert.equal(image.mimeType, 'image/png');
+        assert.deepEqual([image.width, image.height], [30, 20]);
+        assert.match(image.thumbnail, /^data:image\/jpeg;base64,/);
+    });
+
+    await t.test('leaves out what cannot be read', async () => {
+        const [notDataUri, undecodable] = await describeSources(['https://example.com/page.png', 'data:image/png;base64,AAAA']);
+        assert.deepEqual(notDataUri, { mimeType: null, width: null, height: null, thumbnail: null });
+        assert.deepEqual(undecodable, { mimeType: 'image/png', width: null, height: null, thumbnail: null });
+    });
+});
@@ -0,0 +1,72 @@
+const assert = require('node:assert/strict');
+
+// Fakes of a Puppeteer page on a slick-carousel viewer, for testing code that reads the viewer
+// without a browser.
+
+/**
+ * A stand-in for the DOM of a viewer page, answering the queries detectBookInfo makes.
+ * @param {object} viewer
+ * @param {number[]} [viewer.slides] - The number of images on each slide.
+ * @param {number} [viewer.clonedSlides] - Slides slick copies for infinite scrolling.
+ * @param {string} [viewer.counter] - The text of a page counter, e.g. '1 / 120'.
+ * @param {string} [viewer.sliderMax] - The max of a page slider.
+ * @param {string} [viewer.ogTitle] - The og:title.
+ * @param {string} [viewer.title] - The document title.
+ */
+const fakeDocument = ({ slides = [], clonedSlides = 0, counter, sliderMax, ogTitle, title = '' }) => {
+    const slide = count => ({ querySelectorAll: selector => (selector === 'img' ? new Array(count).fill({}) : []) });
+    const queries = {
+        '.slick-slide:not(.slick-cloned)': slides.map(slide),
+        '.slick-slide': [...slides, ...new Array(clonedSlides).fill(1)].map(slide),
+        '[class*="page"], [id*="page"]': [{ textContent: 'Page navigation' }, ...(counter ? [{ textContent: ` ${counter} ` }] : [])],
+    };
+    const single = {
+        'input[type="range"][max]': sliderMax === undefined ? null : { max: sliderMax },
+        'meta[property="og:title"]': ogTitle === undefined ? null : { content: ogTitle },
+    };
+    return {
+        title,
+        querySelectorAll: (selector) => {
+            assert.ok(selector in queries, `unexpected query ${selector}`);
+            return queries[selector];
+        },
+        querySelector: (selector) => {
+            assert.ok(selector in single, `unexpected query ${selector}`);
+            return single[selector];
+        },
+    };
+};
+
+/**
+ * A stand-in for a Puppeteer page showing the given viewer; `evaluate` runs the function against it.
+ * @param {object} viewer - See fakeDocument.
+ * @param {object} [options]
+ * @param {string} [options.waitError] - The name of an error waitForSelector throws.
+ */
+const fakeViewerPage = (viewer, { waitError } = {}) => {
+    const calls = [];
+    return {
+        calls,
+        goto: async (url, options) => {
+            calls.push({ step: 'goto', url, options });
+        },
+        waitForSelector: async (selector, options) => {
+            calls.push({ step: 'waitForSelector', selector, options });
+            if (waitError) {
+                const error = new Error('waiting failed');
+                error.name = waitError;
+                throw error;
+            }
+        },
+        evaluate: async (fn, ...args) => {
+            global.document = fakeDocument(viewer);
+            try {
+                return fn(...args);
+            } finally {
+                delete global.document;
+            }
+        },
+    };
+};
+
+module.exports = { fakeDocument, fakeViewerPage };
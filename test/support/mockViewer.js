@@ -0,0 +1,171 @@
+const http = require('http');
+const sharp = require('sharp');
+
+/**
+ * A stand-in for viewer.impress.co.jp that runs offline. Like the real viewer it shows a book as a
+ * slick carousel whose current slide holds the page images as data URIs, set by script after the
+ * page has loaded, with a "current / total" page counter. The local adapter (lib/adapters/local.js)
+ * points at it through LOCAL_VIEWER_URL.
+ *
+ * Books are picked with the `pdf` query parameter; `group_name` is not checked.
+ *   - single: one page per slide.
+ *   - spread: two pages per slide, the even page on the left; page 1 is on a slide of its own.
+ *   - delayed: the images appear 1.5 seconds after the page has loaded.
+ *   - missing: page 3 never gets an image.
+ *
+ * Run it on its own (`node test/support/mockViewer.js`, PORT defaults to 4000) to try the
+ * downloader against it by hand: start the server with
+ * LOCAL_VIEWER_URL=http://127.0.0.1:4000/viewer.html and pick the "local" adapter.
+ */
+const BOOKS = {
+    single: { title: 'Single Page Book', totalPages: 5, layout: 'single' },
+    spread: { title: 'Spread Book', totalPages: 8, layout: 'spread' },
+    delayed: { title: 'Delayed Book', totalPages: 4, layout: 'single', delayMs: 1500 },
+    missing: { title: 'Book With A Missing Page', totalPages: 5, layout: 'single', missingPages: [3] },
+};
+
+const PAGE_HEIGHT = 140;
+const imageCache = new Map();
+
+/**
+ * The width of a page image; every page has its own, so a page in the wrong place shows in its size.
+ * @param {number} page - The page number.
+ * @returns {number}
+ */
+const pageWidth = (page) => 100 + page * 4;
+
+/**
+ * Returns the image of a page: random noise, seeded by the book and page so it is the same on every
+ * call and differs from every other page (and passes the blank and duplicate page checks).
+ * @param {string} pdf - The book ID.
+ * @param {number} page - The page number.
+ * @returns {Promise<Buffer>} A PNG.
+ */
+const pageImage = (pdf, page) => {
+    const key = `${pdf}:${page}`;
+    if (!imageCache.has(key)) {
+        let seed = 0;
+        for (const char of key) seed = (seed * 31 + char.charCodeAt(0)) >>> 0;
+        const width = pageWidth(page);
+        const pixels = Buffer.alloc(width * PAGE_HEIGHT * 3);
+        for (let i = 0; i < pixels.length; i++) {
+            // A linear congruential generator is plenty for test noise.
+            seed = (seed * 1664525 + 1013904223) >>> 0;
+            pixels[i] = seed >>> 24;
+        }
+        imageCache.set(key, sharp(pixels, { raw: { width, height: PAGE_HEIGHT, channels: 3 } }).png().toBuffer());
+    }
+    return imageCache.get(key);
+};
+
+/**
+ * Groups the pages of a book into carousel slides.
+ * @param {{totalPages: number, layout: string}} book
+ * @returns {number[][]} The page numbers on each slide, left to right.
+ */
+const slidesOf = ({ totalPages, layout }) => {
+    const slides = [[1]];
+    for (let page = 2; page <= totalPages; page += layout === 'spread' ? 2 : 1) {
+        slides.push(layout === 'spread' && page < totalPages ? [page, page + 1] : [page]);
+    }
+    return slides;
+};
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+/**
+ * Renders the viewer page for a page of a book.
+ * @param {string} pdf - The book ID.
+ * @param {object} book - The book.
+ * @param {number} page - The requested page.
+ * @returns {Promise<string>} The HTML.
+ */
+const renderViewer = async (pdf, book, page) => {
+    const slides = slidesOf(book);
+    const current = slides.findIndex(pages => pages.includes(page));
+    const sources = {};
+    for (const shown of slides[current]) {
+        if (!(book.missingPages || []).includes(shown)) {
+            sources[shown] = `data:image/png;base64,${(await pageImage(pdf, shown)).toString('base64')}`;
+        }
+    }
+
+    const slideHtml = slides.map((pages, index) => {
+        const classes = index === current ? 'slick-slide slick-current slick-active' : 'slick-slide';
+        const images = pages.map(shown => `<div><img data-page="${shown}" alt=""></div>`).join('');
+        return `<div class="${classes}" data-slick-index="${index}">${images}</div>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta property="og:title" content="${escapeHtml(book.title)}">
+<title>${escapeHtml(book.title)}</title>
+</head>
+<body>
+<div class="slick-slider"><div class="slick-list"><div class="slick-track">
+${slideHtml}
+</div></div></div>
+<div class="page-counter">${page} / ${book.totalPages}</div>
+<script>
+    const sources = ${JSON.stringify(sources)};
+    setTimeout(() => {
+        for (const [page, src] of Object.entries(sources)) {
+            document.querySelector('img[data-page="' + page + '"]').src = src;
+        }
+    }, ${book.delayMs || 0});
+</script>
+</body>
+</html>
+`;
+};
+
+/**
+ * Creates the mock viewer server; it serves /viewer.html?group_name=...&pdf=...&page=...
+ * @param {object} [options]
+ * @param {object} [options.books=BOOKS] - Book ID -> { title, totalPages, layout, delayMs?, missingPages? }.
+ * @returns {http.Server} The server, not listening yet.
+ */
+const createMockViewer = ({ books = BOOKS } = {}) => http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const pdf = url.searchParams.get('pdf');
+    const page = Number(url.searchParams.get('page') || 1);
+    const book = Object.prototype.hasOwnProperty.call(books, pdf) ? books[pdf] : null;
+
+    if (url.pathname !== '/viewer.html' || !book || !Number.isInteger(page) || page < 1 || page > book.totalPages) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found');
+        return;
+    }
+    try {
+        const html = await renderViewer(pdf, book, page);
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(html);
+    } catch (error) {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end(error.message);
+    }
+});
+
+/**
+ * Starts the mock viewer.
+ * @param {number} [port=0] - The port; 0 picks a free one.
+ * @returns {Promise<{server: http.Server, viewerUrl: string}>} The server and the address of its
+ *   viewer page, for LOCAL_VIEWER_URL.
+ */
+const startMockViewer = (port = 0) => new Promise((resolve, reject) => {
+    const server = createMockViewer();
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+        resolve({ server, viewerUrl: `http://127.0.0.1:${server.address().port}/viewer.html` });
+    });
+});
+
+if (require.main === module) {
+    startMockViewer(Number(process.env.PORT) || 4000).then(({ viewerUrl }) => {
+        console.log(`Mock viewer is running on ${viewerUrl}`);
+    });
+}
+
+module.exports = { BOOKS, pageWidth, PAGE_HEIGHT, pageImage, slidesOf, createMockViewer, startMockViewer };
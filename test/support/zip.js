@@ -0,0 +1,43 @@
+const zlib = require('zlib');
+
+/**
+ * Reads the entries of a ZIP file, enough to check what lib/archive.js writes: stored and
+ * deflated entries, no ZIP64.
+ * @param {Buffer} buffer - The ZIP file.
+ * @returns {Array<{name: string, data: Buffer, stored: boolean, offset: number}>} The entries, in
+ *   central directory order; `stored` if uncompressed, `offset` where the entry starts in the file.
+ */
+const readZip = (buffer) => {
+    // The end of central directory record is at the end, followed by a comment of up to 64 KB.
+    let end = buffer.length - 22;
+    while (end >= 0 && buffer.readUInt32LE(end) !== 0x06054b50) end--;
+    if (end < 0) throw new Error('Not a ZIP file: no end of central directory record.');
+
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error(`Bad central directory entry ${i}.`);
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        // The local header has its own name and extra field lengths.
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const compressed = buffer.subarray(dataStart, dataStart + compressedSize);
+        let data;
+        if (method === 0) data = Buffer.from(compressed);
+        else if (method === 8) data = zlib.inflateRawSync(compressed);
+        else throw new Error(`Unsupported compression method ${method} in ${name}.`);
+
+        entries.push({ name, data, stored: method === 0, offset: localOffset });
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+};
+
+module.exports = { readZip };
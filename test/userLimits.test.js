@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createUserLimits } = require('../lib/userLimits');
+
+test('per-user page quota', async (t) => {
+    await t.test('refuses submissions once the reserved pages reach the quota', () => {
+        const limits = createUserLimits({ concurrency: 10, pagesPerDay: 10 });
+        assert.equal(limits.check('alice', { pages: 6 }), null);
+        limits.startJob('alice', 'job-1');
+        limits.reserve('alice', 'job-1', 6);
+
+        assert.match(limits.check('alice', { pages: 5 }).error, /4 of 10 pages left.*5 requested/);
+        assert.equal(limits.check('alice', { pages: 4 }), null);
+        limits.startJob('alice', 'job-2');
+        limits.reserve('alice', 'job-2', 4);
+        // An open-ended range needs some quota left, too.
+        assert.match(limits.check('alice', { pages: null }).error, /Daily page quota exceeded/);
+        assert.equal(limits.check('bob', { pages: 10 }), null);
+    });
+
+    await t.test('releases the pages a job did not fetch when it ends', () => {
+        const limits = createUserLimits({ concurrency: 10, pagesPerDay: 10 });
+        limits.startJob('alice', 'job-1');
+        limits.reserve('alice', 'job-1', 8);
+        assert.ok(limits.takePage('alice', 'job-1'));
+        assert.ok(limits.takePage('alice', 'job-1'));
+        assert.deepEqual(limits.usage('alice'), { active: 1, pagesToday: 2, pagesReserved: 6 });
+
+        limits.endJob('alice', 'job-1');
+        assert.deepEqual(limits.usage('alice'), { active: 0, pagesToday: 2, pagesReserved: 0 });
+        assert.equal(limits.check('alice', { pages: 8 }), null);
+    });
+
+    await t.test('stops a job once the quota is used up, keeping the pages other jobs reserved', () => {
+        const limits = createUserLimits({ concurrency: 10, pagesPerDay: 5 });
+        limits.reserve('alice', 'job-1', 3);
+        limits.reserve('alice', 'job-2', 2);
+        limits.recordPages('alice', 1);
+
+        assert.ok(limits.takePage('alice', 'job-1'));
+        assert.ok(limits.takePage('alice', 'job-1'));
+        // job-1 has had the pages the quota leaves it, though it reserved one more.
+        assert.equal(limits.takePage('alice', 'job-1'), false);
+        limits.endJob('alice', 'job-1');
+        assert.ok(limits.takePage('alice', 'job-2'));
+        assert.ok(limits.takePage('alice', 'job-2'));
+        assert.equal(limits.takePage('alice', 'job-2'), false);
+        assert.equal(limits.usage('alice').pagesToday, 5);
+    });
+
+    await t.test('does not count without a quota', () => {
+        const limits = createUserLimits({ concurrency: 10, pagesPerDay: 0 });
+        limits.reserve('alice', 'job-1', 1000);
+        assert.ok(limits.takePage('alice', 'job-1'));
+        assert.deepEqual(limits.usage('alice'), { active: 0, pagesToday: 0, pagesReserved: 0 });
+        assert.equal(limits.check('alice', { pages: 1000 }), null);
+    });
+});
@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseDataURI, getImageBase64, validateSelector } = require('../lib/engine');
+const { getAdapter } = require('../lib/adapters');
+const { pickEvenLeft } = require('../lib/adapters/slickCarousel');
+const { DEFAULT_JOB_SETTINGS } = require('../lib/config');
+const { FAILURE_CLASSES, PageFetchError } = require('../lib/retry');
+
+const LEFT = 'data:image/png;base64,TEVGVA==';
+const RIGHT = 'data:image/png;base64,UklHSFQ=';
+
+/**
+ * A stand-in for a Puppeteer page that shows the given images.
+ * @param {object} [options]
+ * @param {string[]} [options.sources] - What the selector matches.
+ * @param {string} [options.failWith] - The name of an error thrown by goto or waitForSelector.
+ * @param {string} [options.failAt] - 'goto' or 'waitForSelector'.
+ */
+const fakePage = ({ sources = [], failWith, failAt } = {}) => {
+    const calls = [];
+    const fail = (step) => {
+        if (failAt === step) {
+            const error = new Error(`${step} failed`);
+            error.name = failWith;
+            throw error;
+        }
+    };
+    return {
+        calls,
+        goto: async (url, options) => {
+            calls.push({ step: 'goto', url, options });
+            fail('goto');
+        },
+        waitForSelector: async (selector, options) => {
+            calls.push({ step: 'waitForSelector', selector, options });
+            fail('waitForSelector');
+        },
+        evaluate: async (fn, selector) => {
+            calls.push({ step: 'evaluate', selector });
+            return sources;
+        },
+    };
+};
+
+test('parseDataURI', async (t) => {
+    await t.test('splits a data URI', () => {
+        assert.deepEqual(parseDataURI('data:image/png;base64,iVBORw0KGgo='), {
+            mimeType: 'image/png',
+            extension: 'png',
+            data: 'iVBORw0KGgo=',
+        });
+        assert.equal(parseDataURI('data:image/jpeg;base64,/9j/4AAQ').extension, 'jpeg');
+    });
+
+    await t.test("reports 'image/jpg' as 'image/jpeg'", () => {
+        assert.deepEqual(parseDataURI('data:image/jpg;base64,/9j/4AAQ'), {
+            mimeType: 'image/jpeg',
+            extension: 'jpg',
+            data: '/9j/4AAQ',
+        });
+    });
+
+    await t.test('shortens compound types to a file extension', () => {
+        const svg = parseDataURI('data:image/svg+xml;base64,PHN2Zz4=');
+        assert.equal(svg.mimeType, 'image/svg+xml');
+        assert.equal(svg.extension, 'svg');
+        assert.equal(parseDataURI('data:image/x.weird-type;base64,AA==').extension, 'xweirdtype');
+    });
+
+    await t.test('rejects anything else', () => {
+        assert.equal(parseDataURI('data:text/plain;base64,aGk='), null);
+        assert.equal(parseDataURI('data:image/png,not-base64'), null);
+        assert.equal(parseDataURI('https://example.com/page.png'), null);
+    });
+});
+
+test('pickEvenLeft', () => {
+    assert.equal(pickEvenLeft([LEFT], 1), LEFT);
+    assert.equal(pickEvenLeft([LEFT], 8), LEFT);
+    assert.equal(pickEvenLeft([LEFT, RIGHT], 2), LEFT);
+    assert.equal(pickEvenLeft([LEFT, RIGHT], 3), RIGHT);
+    assert.equal(pickEvenLeft([], 1), null);
+    assert.equal(pickEvenLeft([LEFT, RIGHT, LEFT], 2), null);
+});
+
+test('getImageBase64', async (t) => {
+    const adapter = getAdapter('impress');
+    const url = adapter.buildUrl({ group_name: 'group', pdf: 'book' }, 2);
+    const settings = { ...DEFAULT_JOB_SETTINGS, navigationTimeoutMs: 1234, selectorTimeoutMs: 5678 };
+
+    await t.test('opens the page and waits for the selector with the job settings', async () => {
+        const page = fakePage({ sources: [LEFT] });
+        assert.equal(await getImageBase64(page, adapter, url, adapter.defaultSelector, 1, settings), LEFT);
+        assert.deepEqual(page.calls.map(call => call.step), ['goto', 'waitForSelector', 'evaluate']);
+        assert.equal(page.calls[0].url, url);
+        assert.deepEqual(page.calls[0].options, { waitUntil: settings.waitUntil, timeout: 1234 });
+        assert.deepEqual(page.calls[1].options, { timeout: 5678 });
+        assert.equal(page.calls[2].selector, adapter.defaultSelector);
+    });
+
+    await t.test('picks the left image of a spread for an even page', async () => {
+        const page = fakePage({ sources: [LEFT, RIGHT] });
+        assert.equal(await getImageBase64(page, adapter, url, adapter.defaultSelector, 4, settings), LEFT);
+    });
+
+    await t.test('picks the right image of a spread for an odd page', async () => {
+        const page = fakePage({ sources: [LEFT, RIGHT] });
+        assert.equal(await getImageBase64(page, adapter, url, adapter.defaultSelector, 5, settings), RIGHT);
+    });
+
+    await t.test('fails with image_count when the selector matches more than a spread', async () => {
+        const page = fakePage({ sources: [LEFT, RIGHT, LEFT] });
+        await assert.rejects(getImageBase64(page, adapter, url, adapter.defaultSelector, 2, settings), (error) => {
+            assert.ok(error instanceof PageFetchError);
+            assert.equal(error.failureClass, FAILURE_CLASSES.IMAGE_COUNT);
+            assert.match(error.message, /Found 3 images/);
+            return true;
+        });
+    });
+
+    await t.test('fails with image_count when no matched image has a data URI', async () => {
+        const page = fakePage({ sources: [] });
+        await assert.rejects(getImageBase64(page, adapter, url, adapter.defaultSelector, 2, settings),
+            error => error.failureClass === FAILURE_CLASSES.IMAGE_COUNT);
+    });
+
+    await t.test('fails with selector_not_found when the selector never matches', async () => {
+        const page = fakePage({ failAt: 'waitForSelector', failWith: 'TimeoutError' });
+        await assert.rejects(getImageBase64(page, adapter, url, 'img.missing', 2, settings),
+            error => error.failureClass === FAILURE_CLASSES.SELECTOR_NOT_FOUND && /img\.missing/.test(error.message));
+    });
+
+    await t.test('fails with navigation_timeout when the page does not load', async () => {
+        const page = fakePage({ failAt: 'goto', failWith: 'TimeoutError' });
+        await assert.rejects(getImageBase64(page, adapter, url, adapter.defaultSelector, 2, settings),
+            error => error.failureClass === FAILURE_CLASSES.NAVIGATION_TIMEOUT);
+    });
+
+    await t.test('passes other errors on', async () => {
+        const page = fakePage({ failAt: 'waitForSelector', failWith: 'Error' });
+        await assert.rejects(getImageBase64(page, adapter, url, adapter.defaultSelector, 2, settings),
+            error => !(error instanceof PageFetchError) && error.message === 'waitForSelector failed');
+    });
+});
+
+test('validateSelector', () => {
+    assert.equal(validateSelector('div.slick-current img[src^="data:image"]'), null);
+    assert.equal(validateSelector('#viewer > .page:nth-child(2) img'), null);
+    assert.notEqual(validateSelector(''), null);
+    assert.notEqual(validateSelector('xpath///img'), null);
+    assert.notEqual(validateSelector('div::-p-text(page)'), null);
+    assert.notEqual(validateSelector('img[src^="data:image"'), null);
+    assert.notEqual(validateSelector('img{}'), null);
+    assert.notEqual(validateSelector(`div ${'a'.repeat(400)}`), null);
+});